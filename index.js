@@ -4,6 +4,8 @@ const cors = require('cors');
 const path = require('path');
 const log = require('./src/helpers/logger');
 const routes = require('./src/routes/index');
+const { startScheduler } = require('./src/jobs/scheduler');
+const { assertMigrationsApplied } = require('./src/helpers/migrations');
 
 const PORT = process.env.PORT || 7000;
 const app = express();
@@ -16,9 +18,14 @@ app.use(express.json());
 
 app.use('/', routes);
 
-app.listen(PORT, () => {
-    log.info(`Server running on port ${PORT} - Environment: ${process.env.NODE_ENV || 'development'}`);
-    } else {
-        console.log(`App running on https://stremio-trakt-dddon-5b1d9b989d0b.herokuapp.com`);
-    }
-});
+assertMigrationsApplied()
+    .then(() => {
+        app.listen(PORT, () => {
+            log.info(`Server running on port ${PORT} - Environment: ${process.env.NODE_ENV || 'development'}`);
+            startScheduler().catch(error => log.error(`Error starting the scheduler: ${error.message}`));
+        });
+    })
+    .catch(error => {
+        log.error(`Refusing to start: ${error.message}`);
+        process.exit(1);
+    });
@@ -1,55 +1,134 @@
 const axios = require('axios');
 const log = require('../helpers/logger');
+const { safeRedisCall } = require('../helpers/redis');
+const { parseCacheDuration } = require('../helpers/cache');
+
+const FANART_BASE_URL = 'https://webservice.fanart.tv/v3';
+
+const FANART_IMAGE_TYPES = {
+    movie: {
+        endpoint: 'movies',
+        idKey: 'tmdb',
+        logo: ['hdmovielogo', 'movielogo'],
+        background: ['moviebackground'],
+        poster: ['movieposter']
+    },
+    series: {
+        endpoint: 'tv',
+        idKey: 'tvdb',
+        logo: ['hdtvlogo', 'clearlogo'],
+        background: ['showbackground'],
+        poster: ['tvposter']
+    }
+};
 
 /**
-* Fetches the best movie logo URL from Fanart.tv in the preferred language or English if unavailable.
+* Fetches the raw Fanart.tv images of a movie or a show, cached in Redis.
 * @example
-* sync('123456', 'es', 'yourFanartApiKey')
-* 'https://example.com/logo.png'
-* @param {string} tmdbId - The TMDB ID of the movie.
-* @param {string} preferredLang - The preferred language for the logos.
+* fetchFanartData('movies', 550, 'yourFanartApiKey')
+* { name: 'Fight Club', hdmovielogo: [...], moviebackground: [...], ... }
+* @param {string} endpoint - The Fanart.tv endpoint, either 'movies' or 'tv'.
+* @param {string|number} id - The TMDB ID for movies or the TVDB ID for shows.
 * @param {string} fanartApiKey - The API key for accessing the Fanart.tv service.
-* @returns {string} URL of the best logo image, or an empty string if no logos are found.
+* @returns {Promise<Object>} The Fanart.tv response, or an empty object if nothing is found.
 * @description
-*   - Uses axios to perform HTTP requests to the Fanart.tv API.
-*   - Prioritizes logos in the specified preferred language, falling back to English logos if none are found.
-*   - Logos are sorted by the number of likes to determine the 'best' one.
-*   - Ensures all returned URLs use HTTPS.
+*   - Missing entries (404) are cached too, so unknown titles do not hit Fanart.tv on every catalog page.
+*   - The cache duration is set by FANART_CACHE_DURATION (default '1d').
 */
-const getFanartLogo = async (tmdbId, preferredLang, fanartApiKey) => {
-    try {
-        const url = `https://webservice.fanart.tv/v3/movies/${tmdbId}/?api_key=${fanartApiKey}`;
-        
-        log.debug(`Fetching Fanart logos from: ${url}`);
+const fetchFanartData = async (endpoint, id, fanartApiKey) => {
+    const redisKey = `fanart:${endpoint}:${id}`;
 
-        const response = await axios.get(url);
-        const logos = response.data.hdmovielogo || [];
-        
-        log.debug(`Logos fetched: ${JSON.stringify(logos)}`);
+    const cachedData = await safeRedisCall('get', redisKey);
+    if (cachedData) {
+        log.debug(`Fanart data for ${endpoint} with ID ${id} found in cache.`);
+        return JSON.parse(cachedData);
+    }
 
-        const preferredLangLogos = logos.filter(logo => logo.lang === preferredLang);
-        log.debug(`Logos in preferred language (${preferredLang}): ${JSON.stringify(preferredLangLogos)}`);
+    const url = `${FANART_BASE_URL}/${endpoint}/${id}?api_key=${fanartApiKey}`;
+    log.debug(`Fetching Fanart images from: ${FANART_BASE_URL}/${endpoint}/${id}`);
 
-        const bestLogoInPreferredLang = preferredLangLogos.sort((a, b) => b.likes - a.likes)[0];
-        log.debug(`Best logo in preferred language: ${JSON.stringify(bestLogoInPreferredLang)}`);
+    let data = {};
+    try {
+        const response = await axios.get(url);
+        data = response.data || {};
+    } catch (error) {
+        if (!error.response || error.response.status !== 404) {
+            throw error;
+        }
+        log.debug(`No Fanart images for ${endpoint} with ID ${id}`);
+    }
 
-        if (!bestLogoInPreferredLang) {
-            const englishLogos = logos.filter(logo => logo.lang === 'en');
-            log.debug(`Logos in English: ${JSON.stringify(englishLogos)}`);
+    const cacheDuration = parseCacheDuration(process.env.FANART_CACHE_DURATION || '1d');
+    await safeRedisCall('set', redisKey, JSON.stringify(data), 'EX', cacheDuration);
 
-            const bestLogoInEnglish = englishLogos.sort((a, b) => b.likes - a.likes)[0];
-            log.debug(`Best logo in English: ${JSON.stringify(bestLogoInEnglish)}`);
+    return data;
+};
+
+/**
+* Picks the most liked image, trying each language in order.
+* @example
+* pickBestImage([{ url: 'http://...', lang: 'fr', likes: '3' }], ['fr', 'en'])
+* 'https://...'
+* @param {Array<Object>} images - The Fanart.tv images of one kind.
+* @param {Array<string>} languages - The languages to try, in order of preference; '00' and '' are textless images.
+* @returns {string} The HTTPS URL of the best image, or an empty string if no image matches.
+*/
+const pickBestImage = (images, languages) => {
+    for (const language of languages) {
+        const best = images
+            .filter(image => (image.lang || '') === language)
+            .sort((a, b) => parseInt(b.likes, 10) - parseInt(a.likes, 10))[0];
 
-            return bestLogoInEnglish ? bestLogoInEnglish.url.replace('http://', 'https://') : '';
+        if (best) {
+            return best.url.replace('http://', 'https://');
         }
+    }
+
+    return '';
+};
+
+/**
+* Fetches the logo, background and textless poster of a movie or a show from Fanart.tv.
+* @example
+* getFanartImages('series', { tmdb: 1399, tvdb: 121361 }, 'fr-FR', 'yourFanartApiKey')
+* { logo: 'https://assets.fanart.tv/fanart/tv/121361/hdtvlogo/...png', background: 'https://...', poster: 'https://...' }
+* @param {string} type - The type of content, either 'movie' or 'series'.
+* @param {Object} ids - The Trakt ids of the item (movies use ids.tmdb, shows use ids.tvdb).
+* @param {string} language - The preferred language, e.g. 'fr-FR' or 'fr'.
+* @param {string} fanartApiKey - The API key for accessing the Fanart.tv service.
+* @returns {Promise<Object>} { logo, background, poster }, with empty strings for missing images.
+* @description
+*   - Movies use hdmovielogo (or movielogo), moviebackground and movieposter.
+*   - Shows use hdtvlogo (or clearlogo), showbackground and tvposter; Fanart.tv keys shows by TVDB ID.
+*   - Only textless posters are returned, since they are meant to be used whatever the user's language.
+*   - Logos are picked in the preferred language, then English, then textless.
+*   - Backgrounds prefer textless images, then the preferred language and English.
+*   - Errors are logged and result in empty images so catalogs fall back to TMDB artwork.
+*/
+const getFanartImages = async (type, ids, language, fanartApiKey) => {
+    const emptyImages = { logo: '', background: '', poster: '' };
+    const imageTypes = FANART_IMAGE_TYPES[type === 'movie' ? 'movie' : 'series'];
+    const id = ids && ids[imageTypes.idKey];
+
+    if (!id) {
+        log.debug(`No ${imageTypes.idKey} ID to fetch Fanart images for ${type}`);
+        return emptyImages;
+    }
+
+    try {
+        const data = await fetchFanartData(imageTypes.endpoint, id, fanartApiKey);
+        const preferredLang = (language || 'en').split('-')[0];
+        const collect = (keys) => keys.reduce((images, key) => images.length ? images : (data[key] || []), []);
 
-        const bestLogoUrl = bestLogoInPreferredLang.url.replace('http://', 'https://');
-        log.debug(`Best logo URL: ${bestLogoUrl}`);
-        return bestLogoUrl;
+        return {
+            logo: pickBestImage(collect(imageTypes.logo), [preferredLang, 'en', '00', '']),
+            background: pickBestImage(collect(imageTypes.background), ['', '00', preferredLang, 'en']),
+            poster: pickBestImage(collect(imageTypes.poster), ['00'])
+        };
     } catch (error) {
-        log.error(`Error fetching logos from Fanart.tv for TMDB ID ${tmdbId}:`, error.message);
-        return '';
+        log.error(`Error fetching images from Fanart.tv for ${type} ${imageTypes.idKey} ID ${id}: ${error.message}`);
+        return emptyImages;
     }
 };
 
-module.exports = { getFanartLogo };
+module.exports = { getFanartImages };
@@ -6,8 +6,86 @@ const { parseCacheDuration } = require('../helpers/cache');
 
 const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
 
-const generateRedisKey = (tmdbId, type, language) => {
-    return `tmdb:${type}:${tmdbId}:${language}`;
+// Bump the version of the TMDB keys whenever what is picked from a response changes, so older entries are never read back.
+const generateRedisKey = (tmdbId, type, languages) => {
+    return `tmdb:v2:${type}:${tmdbId}:${languages.join(',')}`;
+};
+
+/**
+* Builds the ordered list of languages to try for a title, from the user language and its fallbacks.
+* @example
+* buildLanguageChain('pt-BR', ['pt-PT', 'en'])
+* ['pt-BR', 'pt-PT', 'en']
+* @param {string} language - The user language, e.g. 'pt-BR'.
+* @param {Array<string>} [fallbackLanguages=[]] - The languages to try next, in order.
+* @returns {Array<string>} The languages without duplicates, the user language first.
+*/
+const buildLanguageChain = (language, fallbackLanguages = []) => {
+    return [...new Set([language, ...(fallbackLanguages || [])].filter(Boolean))];
+};
+
+const matchesLanguage = (iso6391, iso31661, language) => {
+    const [code, region] = language.split('-');
+    return iso6391 === code && (!region || !iso31661 || iso31661 === region);
+};
+
+/**
+* Picks the translated title and overview of a TMDB item, following the language chain.
+* @param {Object} data - The TMDB response, with translations appended.
+* @param {Array<string>} languages - The language chain from buildLanguageChain.
+* @returns {Object} { title, overview }, each null if no language of the chain has it.
+* @description
+*   - A region-specific language (pt-BR) only matches the same region; a bare language (pt) matches any region.
+*/
+const pickTranslation = (data, languages) => {
+    const translations = (data.translations && data.translations.translations) || [];
+    const pick = (field) => {
+        for (const language of languages) {
+            const translation = translations.find(entry => matchesLanguage(entry.iso_639_1, entry.iso_3166_1, language) && entry.data && entry.data[field]);
+            if (translation) {
+                return translation.data[field];
+            }
+        }
+        return null;
+    };
+
+    return {
+        title: pick('title') || pick('name'),
+        overview: pick('overview')
+    };
+};
+
+/**
+* Picks the title to show for a TMDB item: the translated title of the language chain, then English, then the original title.
+* @param {Object} data - The TMDB response, with translations appended.
+* @param {Object} translation - The translation picked by pickTranslation.
+* @returns {string} The title.
+*/
+const pickTitle = (data, translation) => {
+    return translation.title
+        || pickTranslation(data, ['en']).title
+        || data.original_title || data.original_name || data.title || data.name;
+};
+
+/**
+* Picks the best image of a kind in the first language of the chain that has one.
+* @param {Array<Object>} images - TMDB images (posters or backdrops), already sorted by TMDB.
+* @param {Array<string>} languages - The language chain from buildLanguageChain.
+* @returns {string|null} The file path of the image, or null if no language of the chain has one.
+*/
+const pickImage = (images = [], languages) => {
+    for (const language of languages) {
+        const code = language.split('-')[0];
+        const image = images.find(entry => entry.iso_639_1 === code);
+        if (image) {
+            return image.file_path;
+        }
+    }
+    return null;
+};
+
+const getImageLanguages = (languages) => {
+    return [...new Set([...languages.map(language => language.split('-')[0]), 'en', 'null'])].join(',');
 };
 
 /**
@@ -45,16 +123,20 @@ const formatRuntime = (runtime) => {
 * @param {string} type - The type of the media, either 'movie' or 'tv'.
 * @param {string} tmdbApiKey - The API key to authenticate with TMDB.
 * @param {string} [language='en-US'] - The language code to fetch data in.
-* @returns {Object} Returns an object containing media details such as title, poster, description, release date, last air date, IMDb rating, genres, and runtime.
+* @param {Array<string>} [fallbackLanguages=[]] - Languages to use, in order, when no translation or image exists in the main language.
+* @returns {Object} Returns an object containing media details such as title, original title, poster, background, description, release date, last air date, TMDB rating and votes, genres, runtime and full release date.
 * @description
+*   - Title, overview, poster and backdrop are picked from the translations and images of the language chain, e.g. pt-BR, then pt-PT, then en.
+*   - When no language of the chain has a translated title, the English title is used, then the original title; the original title is always returned as originalTitle.
 *   - Attempts to retrieve data from cache before making an API call to reduce latency and load.
 *   - Caches API responses with a configurable expiration to ensure updated information is fetched periodically.
 *   - Handles and logs errors during data retrieval for better debugging and monitoring.
 *   - Formats and organizes API data into a consistent structure for easy consumption.
 */
-const getMetadataByTmdbId = async (tmdbId, type, tmdbApiKey, language = 'en-US') => {
-    const redisKey = generateRedisKey(tmdbId, type, language);
-    const endpoint = `${TMDB_BASE_URL}/${type}/${tmdbId}?language=${language}&api_key=${tmdbApiKey}`;
+const getMetadataByTmdbId = async (tmdbId, type, tmdbApiKey, language = 'en-US', fallbackLanguages = []) => {
+    const languages = buildLanguageChain(language, fallbackLanguages);
+    const redisKey = generateRedisKey(tmdbId, type, languages);
+    const endpoint = `${TMDB_BASE_URL}/${type}/${tmdbId}?language=${language}&append_to_response=images,translations&include_image_language=${getImageLanguages(languages)}&api_key=${tmdbApiKey}`;
 
     try {
         const cachedData = await safeRedisCall('get', redisKey);
@@ -68,16 +150,25 @@ const getMetadataByTmdbId = async (tmdbId, type, tmdbApiKey, language = 'en-US')
         });
 
         const data = response.data;
+        const translation = pickTranslation(data, languages);
+        const images = data.images || {};
+        const posterPath = pickImage(images.posters, languages) || data.poster_path;
+        const backdropPath = pickImage(images.backdrops, languages) || data.backdrop_path;
 
         const result = {
-            title: data.title || data.name,
-            poster: data.poster_path ? `https://image.tmdb.org/t/p/w500${data.poster_path}` : null,
-            description: data.overview,
+            title: pickTitle(data, translation),
+            originalTitle: data.original_title || data.original_name,
+            poster: posterPath ? `https://image.tmdb.org/t/p/w500${posterPath}` : null,
+            background: backdropPath ? `https://image.tmdb.org/t/p/original${backdropPath}` : null,
+            description: translation.overview || data.overview,
             releaseDate: (data.release_date || data.first_air_date || '').slice(0, 4),
             lastAirDate: data.last_air_date ? data.last_air_date.slice(0, 4) : null,
-            imdbRating: data.vote_average ? data.vote_average.toFixed(1) : null,
+            tmdbRating: data.vote_average ? data.vote_average.toFixed(1) : null,
+            tmdbVotes: data.vote_count || 0,
             genres: data.genres ? data.genres.map(genre => genre.name) : [],
-            runtime: formatRuntime(data.runtime)
+            runtime: formatRuntime(data.runtime),
+            runtimeMinutes: data.runtime || (data.episode_run_time && data.episode_run_time[0]) || null,
+            released: data.release_date || data.first_air_date || null
         };
 
         const cacheDuration = parseCacheDuration(process.env.TMDB_CACHE_DURATION || '1d');
@@ -92,4 +183,163 @@ const getMetadataByTmdbId = async (tmdbId, type, tmdbApiKey, language = 'en-US')
     }
 };
 
-module.exports = { getMetadataByTmdbId };
+/**
+* Fetches the episodes of a single TV season from TMDB.
+* @example
+* fetchSeasonEpisodes(1399, 1, 'your_tmdb_api_key', 'fr-FR')
+* [{ season: 1, episode: 1, title: 'L\'hiver vient', ... }]
+* @param {number} tmdbId - The TMDB ID of the show.
+* @param {number} seasonNumber - The season number to fetch.
+* @param {string} tmdbApiKey - The API key to authenticate with TMDB.
+* @param {string} language - The language code to fetch data in.
+* @returns {Promise<Array<Object>>} The episodes of the season, or an empty array if the season could not be fetched.
+*/
+const fetchSeasonEpisodes = async (tmdbId, seasonNumber, tmdbApiKey, language) => {
+    const endpoint = `${TMDB_BASE_URL}/tv/${tmdbId}/season/${seasonNumber}?language=${language}&api_key=${tmdbApiKey}`;
+
+    try {
+        const response = await addToQueueTMDB({
+            fn: () => axios.get(endpoint)
+        });
+
+        return (response.data.episodes || []).map(episode => ({
+            season: episode.season_number,
+            episode: episode.episode_number,
+            title: episode.name,
+            overview: episode.overview,
+            released: episode.air_date ? new Date(episode.air_date).toISOString() : null,
+            thumbnail: episode.still_path ? `https://image.tmdb.org/t/p/w500${episode.still_path}` : null
+        }));
+    } catch (error) {
+        log.error(`Error fetching TMDB season ${seasonNumber} for show ${tmdbId}: ${error.message}`);
+        return [];
+    }
+};
+
+/**
+* Fetches and caches the full details of a movie or show from TMDB, as needed by the meta resource.
+* @example
+* getMetaDetailsByTmdbId(550, 'movie', 'your_tmdb_api_key', 'fr-FR')
+* { title: 'Fight Club', cast: ['Brad Pitt', ...], director: ['David Fincher'], trailers: [...], ... }
+* @param {number} tmdbId - The TMDB ID of the media (movie or show).
+* @param {string} type - The type of the media, either 'movie' or 'tv'.
+* @param {string} tmdbApiKey - The API key to authenticate with TMDB.
+* @param {string} [language='en-US'] - The language code to fetch data in.
+* @param {Array<string>} [fallbackLanguages=[]] - Languages to use, in order, when no translation or image exists in the main language.
+* @returns {Object} Returns an object containing the media details, credits, trailers, artwork and, for shows, every episode.
+* @description
+*   - Uses append_to_response to fetch credits, videos, images, external ids and translations in a single request.
+*   - Title, overview and artwork follow the language chain, like getMetadataByTmdbId; videos use the preferred language and English.
+*   - For shows, every season is fetched to build the episode list.
+*   - Caches the result in Redis for the TMDB cache duration.
+*/
+const getMetaDetailsByTmdbId = async (tmdbId, type, tmdbApiKey, language = 'en-US', fallbackLanguages = []) => {
+    const languages = buildLanguageChain(language, fallbackLanguages);
+    const redisKey = `tmdb:v2:meta:${type}:${tmdbId}:${languages.join(',')}`;
+    const lang = language.split('-')[0];
+    const endpoint = `${TMDB_BASE_URL}/${type}/${tmdbId}?language=${language}&append_to_response=credits,videos,images,external_ids,translations&include_image_language=${getImageLanguages(languages)}&include_video_language=${lang},en&api_key=${tmdbApiKey}`;
+
+    try {
+        const cachedData = await safeRedisCall('get', redisKey);
+        if (cachedData) {
+            log.debug(`TMDB meta for ${type} with ID ${tmdbId} in language ${language} found in cache.`);
+            return JSON.parse(cachedData);
+        }
+
+        const response = await addToQueueTMDB({
+            fn: () => axios.get(endpoint)
+        });
+
+        const data = response.data;
+        const credits = data.credits || {};
+        const crew = credits.crew || [];
+        const images = data.images || {};
+        const translation = pickTranslation(data, languages);
+        const posterPath = pickImage(images.posters, languages) || data.poster_path;
+        const backdropPath = pickImage(images.backdrops, languages) || data.backdrop_path;
+        const logoPath = pickImage(images.logos, [...languages, 'en']) || (images.logos && images.logos[0] && images.logos[0].file_path);
+
+        const result = {
+            tmdbId: data.id,
+            imdbId: data.imdb_id || (data.external_ids && data.external_ids.imdb_id) || null,
+            title: pickTitle(data, translation),
+            originalTitle: data.original_title || data.original_name,
+            poster: posterPath ? `https://image.tmdb.org/t/p/w500${posterPath}` : null,
+            background: backdropPath ? `https://image.tmdb.org/t/p/original${backdropPath}` : null,
+            logo: logoPath ? `https://image.tmdb.org/t/p/original${logoPath}` : null,
+            description: translation.overview || data.overview,
+            releaseDate: (data.release_date || data.first_air_date || '').slice(0, 4),
+            lastAirDate: data.last_air_date ? data.last_air_date.slice(0, 4) : null,
+            released: data.release_date || data.first_air_date ? new Date(data.release_date || data.first_air_date).toISOString() : null,
+            tmdbRating: data.vote_average ? data.vote_average.toFixed(1) : null,
+            tmdbVotes: data.vote_count || 0,
+            genres: data.genres ? data.genres.map(genre => genre.name) : [],
+            runtime: formatRuntime(data.runtime || (data.episode_run_time && data.episode_run_time[0])),
+            cast: (credits.cast || []).slice(0, 10).map(person => person.name),
+            director: type === 'movie'
+                ? crew.filter(person => person.job === 'Director').map(person => person.name)
+                : (data.created_by || []).map(person => person.name),
+            writer: crew.filter(person => person.department === 'Writing').map(person => person.name).slice(0, 5),
+            trailers: ((data.videos && data.videos.results) || [])
+                .filter(video => video.site === 'YouTube' && video.type === 'Trailer')
+                .map(video => ({ source: video.key, type: 'Trailer' })),
+            episodes: []
+        };
+
+        if (type === 'tv' && Array.isArray(data.seasons)) {
+            const seasons = await Promise.all(
+                data.seasons.map(season => fetchSeasonEpisodes(tmdbId, season.season_number, tmdbApiKey, language))
+            );
+            result.episodes = seasons.flat();
+        }
+
+        const cacheDuration = parseCacheDuration(process.env.TMDB_CACHE_DURATION || '1d');
+        await safeRedisCall('set', redisKey, JSON.stringify(result), 'EX', cacheDuration);
+
+        log.debug(`TMDB meta request successful for ${type} with ID ${tmdbId} in language ${language}. Data cached.`);
+
+        return result;
+    } catch (error) {
+        log.error(`Error fetching TMDB meta for ${type} with ID ${tmdbId}: ${error.message}`);
+        throw error;
+    }
+};
+
+/**
+* Fetches the titles TMDB recommends for a movie or show.
+* @example
+* fetchTmdbRecommendations(550, 'movie', 'your_tmdb_api_key', 'fr-FR')
+* [{ id: 807, title: 'Seven', ... }, ...]
+* @param {number} tmdbId - The TMDB ID of the media.
+* @param {string} type - The type of the media, either 'movie' or 'tv'.
+* @param {string} tmdbApiKey - The API key to authenticate with TMDB.
+* @param {string} [language='en-US'] - The language code to fetch data in.
+* @returns {Promise<Array<Object>>} The first page of TMDB recommendations.
+*/
+const fetchTmdbRecommendations = async (tmdbId, type, tmdbApiKey, language = 'en-US') => {
+    const redisKey = `tmdb:recommendations:${type}:${tmdbId}:${language}`;
+    const endpoint = `${TMDB_BASE_URL}/${type}/${tmdbId}/recommendations?language=${language}&api_key=${tmdbApiKey}`;
+
+    try {
+        const cachedData = await safeRedisCall('get', redisKey);
+        if (cachedData) {
+            log.debug(`TMDB recommendations for ${type} with ID ${tmdbId} found in cache.`);
+            return JSON.parse(cachedData);
+        }
+
+        const response = await addToQueueTMDB({
+            fn: () => axios.get(endpoint)
+        });
+        const results = response.data.results || [];
+
+        const cacheDuration = parseCacheDuration(process.env.TMDB_CACHE_DURATION || '1d');
+        await safeRedisCall('set', redisKey, JSON.stringify(results), 'EX', cacheDuration);
+
+        return results;
+    } catch (error) {
+        log.error(`Error fetching TMDB recommendations for ${type} with ID ${tmdbId}: ${error.message}`);
+        throw error;
+    }
+};
+
+module.exports = { getMetadataByTmdbId, getMetaDetailsByTmdbId, fetchTmdbRecommendations };
@@ -1,15 +1,56 @@
+const crypto = require('crypto');
 const axios = require('axios');
 const { pool } = require('../helpers/db');
 const log = require('../helpers/logger');
 const { addToQueueGET, addToQueuePOST } = require('../helpers/bottleneck_trakt');
 const { safeRedisCall } = require('../helpers/redis');
 const { parseCacheDuration } = require('../helpers/cache');
+const { getStremioId, parseStremioId } = require('../helpers/ids');
+const { encryptToken, decryptToken } = require('../helpers/token_encryption');
 
 const TRAKT_BASE_URL = 'https://api.trakt.tv';
 const TRAKT_API_VERSION = '2';
 const TRAKT_API_KEY = process.env.TRAKT_CLIENT_ID;
 const TRAKT_CLIENT_SECRET = process.env.TRAKT_CLIENT_SECRET;
 const TRAKT_REDIRECT_URI = `${process.env.BASE_URL}/callback`;
+const UPNEXT_MAX_SHOWS = 50;
+const UPNEXT_CACHE_DURATION = '1h';
+const UPNEXT_PROGRESS_PARAMS = { hidden: false, specials: false };
+const USER_LISTS_CACHE_DURATION = '1h';
+const CALENDAR_DAYS = 30;
+const CALENDAR_ALL_SHOWS_DAYS = 7;
+const CHART_PERIODS = ['weekly', 'monthly', 'yearly', 'all'];
+const RECOMMENDATIONS_MAX_LIMIT = 100;
+const WATCHLIST_SORTS = ['rank', 'added', 'title', 'released', 'runtime'];
+const SCHEDULER_ENABLED = process.env.SCHEDULER_ENABLED !== 'false';
+const HISTORY_PAGE_LIMIT = 100;
+const HISTORY_MAX_PAGES = 20;
+const HISTORY_FULL_SYNC_INTERVAL = '7d';
+const TOKEN_EXPIRY_LEEWAY_MS = 10 * 60 * 1000;
+const CHART_FILTERS = ['years', 'ratings', 'runtimes', 'languages', 'countries', 'certifications'];
+const TRAKT_CHARTS = {
+    trending: { types: ['movies', 'shows'], paginated: true, period: false },
+    popular: { types: ['movies', 'shows'], paginated: true, period: false },
+    anticipated: { types: ['movies', 'shows'], paginated: true, period: false },
+    boxoffice: { types: ['movies'], paginated: false, period: false },
+    watched: { types: ['movies', 'shows'], paginated: true, period: true },
+    played: { types: ['movies', 'shows'], paginated: true, period: true },
+    collected: { types: ['movies', 'shows'], paginated: true, period: true }
+};
+
+/**
+* Builds the part of a cache key that scopes a response to the token it was fetched with.
+* @example
+* getTokenCacheScope(null)
+* 'public'
+* @param {string|null} accessToken - The access token used for the request, if any.
+* @returns {string} 'public' for unauthenticated requests, otherwise a SHA-256 hash of the token.
+* @description
+*   - Hashes the token so raw access tokens never end up in Redis keys.
+*/
+const getTokenCacheScope = (accessToken) => accessToken
+    ? crypto.createHash('sha256').update(accessToken).digest('hex')
+    : 'public';
 
 /**
  * Makes an API GET request to the specified URL and caches the result.
@@ -18,6 +59,7 @@ const TRAKT_REDIRECT_URI = `${process.env.BASE_URL}/callback`;
  * // Returns a promise resolving to the data obtained from the URL
  * @param {string} url - The URL to make the GET request to.
  * @param {string|null} accessToken - Optional access token for authenticated requests.
+ * @param {string|false|null} [cacheDuration=null] - Optional cache duration (e.g. '1h') overriding TRAKT_CACHE_DURATION, or false to bypass the cache.
  * @returns {Promise<Object>} A promise that resolves to the data retrieved from the API, either from cache or directly from the API call.
  * @description
  *   - Utilizes a caching mechanism to reduce redundant API requests by storing results in Redis.
@@ -25,7 +67,7 @@ const TRAKT_REDIRECT_URI = `${process.env.BASE_URL}/callback`;
  *   - Utilizes an external queue system to manage the rate of API requests.
  *   - Logs request outcomes and potential errors for debugging purposes.
  */
-const makeGetRequest = (url, accessToken = null) => {
+const makeGetRequest = (url, accessToken = null, cacheDuration = null) => {
     const headers = {
         'trakt-api-version': TRAKT_API_VERSION,
         'trakt-api-key': TRAKT_API_KEY,
@@ -37,10 +79,11 @@ const makeGetRequest = (url, accessToken = null) => {
         log.debug(`No access token provided, making unauthenticated request.`);
     }
 
-    const cacheKey = `trakt:GET:${accessToken || 'public'}:${url}`;
+    const cacheKey = `trakt:GET:${getTokenCacheScope(accessToken)}:${url}`;
+    const useCache = cacheDuration !== false;
 
     return new Promise(async (resolve, reject) => {
-        const cachedData = await safeRedisCall('get', cacheKey);
+        const cachedData = useCache ? await safeRedisCall('get', cacheKey) : null;
         if (cachedData) {
             log.debug(`Cache hit for URL: ${url}`);
             return resolve(JSON.parse(cachedData));
@@ -51,8 +94,10 @@ const makeGetRequest = (url, accessToken = null) => {
                 .then(async (response) => {
                     log.debug(`API GET request successful for URL: ${url}`);
 
-                    const cacheDuration = parseCacheDuration(process.env.TRAKT_CACHE_DURATION || '1d');
-                    await safeRedisCall('set', cacheKey, JSON.stringify(response.data), 'EX', cacheDuration);
+                    if (useCache) {
+                        const cacheSeconds = parseCacheDuration(cacheDuration || process.env.TRAKT_CACHE_DURATION || '1d');
+                        await safeRedisCall('set', cacheKey, JSON.stringify(response.data), 'EX', cacheSeconds);
+                    }
 
                     resolve(response.data);
                 })
@@ -69,18 +114,17 @@ const makeGetRequest = (url, accessToken = null) => {
 };
 
 /**
-* Makes a POST request to the specified URL with optional caching using Redis
+* Makes a POST request to the specified URL.
 * @example
-* postToTraktAPI('https://api.trakt.tv/sync/collection', data, 'yourAccessToken')
+* makePostRequest('https://api.trakt.tv/sync/history', data, 'yourAccessToken')
 * // Returns a Promise that resolves to the response data from the API
 * @param {string} url - The URL to send the POST request to.
 * @param {object} data - The data to be sent in the body of the POST request.
 * @param {string|null} accessToken - Optional access token for authorization.
 * @returns {Promise<object>} Promise that resolves to the response data from the API.
 * @description
-*   - Utilizes Redis for potential caching of response when making API calls.
 *   - Adds the API call to a queue for rate limiting purposes.
-*   - Caches successful POST request responses for a configurable duration.
+*   - Never caches: Trakt POSTs are OAuth exchanges or writes, which must reach the API every time.
 *   - Handles authorization through optional access token if provided.
 */
 const makePostRequest = (url, data, accessToken = null) => {
@@ -94,23 +138,11 @@ const makePostRequest = (url, data, accessToken = null) => {
         headers.Authorization = `Bearer ${accessToken}`;
     }
 
-    const cacheKey = `trakt:POST:${accessToken || 'public'}:${url}:${JSON.stringify(data)}`;
-
-    return new Promise(async (resolve, reject) => {
-        const cachedData = await safeRedisCall('get', cacheKey);
-        if (cachedData) {
-            log.debug(`Cache hit for POST URL: ${url}`);
-            return resolve(JSON.parse(cachedData));
-        }
-
+    return new Promise((resolve, reject) => {
         addToQueuePOST({
             fn: () => axios.post(url, data, { headers })
-                .then(async (response) => {
+                .then((response) => {
                     log.debug(`API POST request successful for URL: ${url}`);
-
-                    const cacheDuration = parseCacheDuration(process.env.TRAKT_CACHE_DURATION || '1d');
-                    await safeRedisCall('set', cacheKey, JSON.stringify(response.data), 'EX', cacheDuration);
-
                     resolve(response.data);
                 })
                 .catch(error => {
@@ -121,22 +153,45 @@ const makePostRequest = (url, data, accessToken = null) => {
     });
 };
 
+/**
+* Builds the Trakt page where users authorize the addon.
+* @example
+* getAuthorizeUrl('5f2b...c1.9a0e...', 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM')
+* 'https://trakt.tv/oauth/authorize?response_type=code&client_id=...&redirect_uri=...&state=...&code_challenge=...&code_challenge_method=S256'
+* @param {string} state - The signed state, checked by the callback.
+* @param {string} codeChallenge - The PKCE code challenge (S256).
+* @returns {string} The authorization URL.
+*/
+const getAuthorizeUrl = (state, codeChallenge) => {
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: TRAKT_API_KEY,
+        redirect_uri: TRAKT_REDIRECT_URI,
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+    });
+    return `https://trakt.tv/oauth/authorize?${params}`;
+};
+
 /**
 * Exchanges an authorization code for an access token from the Trakt API.
 * @example
-* sync('sample_auth_code')
+* sync('sample_auth_code', 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk')
 * { access_token: 'xyz123', ... }
 * @param {string} code - The authorization code to be exchanged for an access token.
+* @param {string} codeVerifier - The PKCE code verifier of the login.
 * @returns {Promise<object>} A promise that resolves to the response containing the access token and related details.
 * @description
 *   - Uses a POST request to interact with the Trakt API.
 *   - Requires valid client credentials such as client_id and client_secret.
 *   - Handles errors by logging them and rethrowing to manage in higher-level logic or handlers.
 */
-const exchangeCodeForToken = async (code) => {
+const exchangeCodeForToken = async (code, codeVerifier) => {
     try {
         const response = await makePostRequest(`${TRAKT_BASE_URL}/oauth/token`, {
             code: code,
+            code_verifier: codeVerifier,
             client_id: TRAKT_API_KEY,
             client_secret: TRAKT_CLIENT_SECRET,
             redirect_uri: TRAKT_REDIRECT_URI,
@@ -158,6 +213,7 @@ const exchangeCodeForToken = async (code) => {
 * @param {string} endpoint - The API endpoint to send the request to.
 * @param {Object} [params={}] - Query parameters to include in the request.
 * @param {string|null} [accessToken=null] - OAuth access token for authentication.
+* @param {string|false|null} [cacheDuration=null] - Optional cache duration (e.g. '1h') overriding TRAKT_CACHE_DURATION, or false to bypass the cache.
 * @returns {Promise<Object>} A promise resolving to the data retrieved from the endpoint.
 * @description
 *   - Builds a request URL by appending the given endpoint and query parameters to the TRAKT_BASE_URL.
@@ -165,12 +221,12 @@ const exchangeCodeForToken = async (code) => {
 *   - Logs the success message upon successful data retrieval.
 *   - Propagates any errors encountered during the request process.
 */
-const fetchData = async (endpoint, params = {}, accessToken = null) => {
+const fetchData = async (endpoint, params = {}, accessToken = null, cacheDuration = null) => {
     const queryString = new URLSearchParams(params).toString();
     const url = `${TRAKT_BASE_URL}${endpoint}?${queryString}`;
 
     try {
-        const data = await makeGetRequest(url, accessToken);
+        const data = await makeGetRequest(url, accessToken, cacheDuration);
         log.debug(`Data successfully retrieved from URL: ${url}`);
         return data;
     } catch (error) {
@@ -213,13 +269,203 @@ const refreshTraktToken = async (refreshToken) => {
     }
 };
 
-const updateTokensInDb = async (username, newAccessToken, newRefreshToken) => {
-    await pool.query(
-        'UPDATE trakt_tokens SET access_token = $1, refresh_token = $2 WHERE username = $3',
-        [newAccessToken, newRefreshToken, username]
+/**
+* Revokes an access token, so Trakt no longer accepts it from this addon.
+* @example
+* revokeTraktToken('your_access_token')
+* // The token is revoked on Trakt
+* @param {string} accessToken - The access token to revoke.
+* @returns {Promise<void>} No value is returned.
+* @description
+*   - Errors are logged and rethrown.
+*/
+const revokeTraktToken = async (accessToken) => {
+    const payload = {
+        token: accessToken,
+        client_id: TRAKT_API_KEY,
+        client_secret: TRAKT_CLIENT_SECRET
+    };
+
+    try {
+        await makePostRequest(`${TRAKT_BASE_URL}/oauth/revoke`, payload);
+        log.debug('Token revoked successfully');
+    } catch (error) {
+        log.error(`Failed to revoke token: ${error.message}`);
+        throw error;
+    }
+};
+
+/**
+* Reads when a token returned by /oauth/token was issued and when it expires.
+* @example
+* getTokenTimes({ access_token: 'xyz', expires_in: 86400, created_at: 1729300000 })
+* { createdAt: 2024-10-19T01:06:40.000Z, expiresIn: 86400, expiresAt: 2024-10-20T01:06:40.000Z }
+* @param {Object} tokens - The token response from Trakt.
+* @returns {Object} createdAt, defaulting to now, and expiresIn (seconds) and expiresAt, null if Trakt did not send expires_in.
+*/
+const getTokenTimes = (tokens) => {
+    const createdAt = new Date(tokens && tokens.created_at ? tokens.created_at * 1000 : Date.now());
+    const expiresIn = tokens && tokens.expires_in ? tokens.expires_in : null;
+
+    return {
+        createdAt,
+        expiresIn,
+        expiresAt: expiresIn ? new Date(createdAt.getTime() + expiresIn * 1000) : null
+    };
+};
+
+const updateTokensInDb = async (client, username, tokens) => {
+    const { createdAt, expiresIn, expiresAt } = getTokenTimes(tokens);
+    await client.query(
+        `UPDATE trakt_tokens SET access_token = $1, refresh_token = $2, token_created_at = $3, expires_in = $4, expires_at = $5
+         WHERE username = $6`,
+        [encryptToken(tokens.access_token), encryptToken(tokens.refresh_token), createdAt, expiresIn, expiresAt, username]
     );
 };
 
+const tokenRefreshes = new Map();
+
+/**
+* Refreshes the stored tokens of a user with their refresh token.
+* @example
+* refreshUserTokens('john_doe')
+* { access_token: 'xyz', refresh_token: 'abc', expires_in: 86400, created_at: 1729300000, ... }
+* @param {string} username - The username whose tokens are refreshed.
+* @param {string|null} [staleAccessToken=null] - The access token the caller found expired; if the stored one differs, it was
+*   already refreshed and is returned as is.
+* @returns {Promise<Object>} The new tokens.
+* @description
+*   - Stores the new access and refresh tokens with their lifetime.
+*   - Trakt refresh tokens can only be used once, so refreshes of a user never overlap: a refresh already running in this
+*     instance is shared, and the row of the user is locked for the time of the refresh against other instances.
+*   - Throws if no tokens are stored for the user or if Trakt refuses the refresh token.
+*/
+const refreshUserTokens = (username, staleAccessToken = null) => {
+    if (tokenRefreshes.has(username)) {
+        return tokenRefreshes.get(username);
+    }
+
+    const refresh = (async () => {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+            const result = await client.query(
+                `SELECT access_token, refresh_token, token_created_at, expires_in FROM trakt_tokens WHERE username = $1 FOR UPDATE`,
+                [username]
+            );
+
+            const tokensRow = result.rows[0];
+            if (!tokensRow || !tokensRow.refresh_token) {
+                throw new Error(`No tokens found for user ${username}`);
+            }
+
+            const currentAccessToken = decryptToken(tokensRow.access_token);
+            if (staleAccessToken && currentAccessToken !== staleAccessToken) {
+                await client.query('COMMIT');
+                log.debug(`Tokens of user ${username} were already refreshed`);
+                return {
+                    access_token: currentAccessToken,
+                    refresh_token: decryptToken(tokensRow.refresh_token),
+                    expires_in: tokensRow.expires_in,
+                    created_at: tokensRow.token_created_at ? Math.floor(new Date(tokensRow.token_created_at).getTime() / 1000) : null
+                };
+            }
+
+            const newTokens = await refreshTraktToken(decryptToken(tokensRow.refresh_token));
+            await updateTokensInDb(client, username, newTokens);
+            await client.query('COMMIT');
+
+            log.debug(`Tokens refreshed for user ${username}`);
+            return newTokens;
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            client.release();
+        }
+    })();
+
+    tokenRefreshes.set(username, refresh);
+    return refresh.finally(() => tokenRefreshes.delete(username));
+};
+
+const isUnauthorizedError = (error) => {
+    return (error.response && error.response.status === 401) || error.message === 'token_expired';
+};
+
+/**
+* Runs a Trakt API call with the stored access token of a user, refreshing the token when it expires.
+* @example
+* callWithUserToken('john_doe', (accessToken) => fetchUserProfile(accessToken))
+* // Resolves with the profile of john_doe
+* @param {string} username - The username whose stored tokens should be used.
+* @param {Function} fn - The API call to run, receiving the access token as its only argument.
+* @returns {Promise<*>} The result of the API call.
+* @description
+*   - Every call made on behalf of a user goes through this function.
+*   - A token expiring within TOKEN_EXPIRY_LEEWAY is refreshed before the call; if that refresh fails, the call is still tried
+*     with the current token.
+*   - On a 401 response, refreshes the tokens and retries the call once with the new access token.
+*   - Throws an error if no tokens are stored for the user.
+*/
+const callWithUserToken = async (username, fn) => {
+    const result = await pool.query(
+        `SELECT access_token, expires_at FROM trakt_tokens WHERE username = $1`,
+        [username]
+    );
+
+    const tokensRow = result.rows[0];
+    if (!tokensRow || !tokensRow.access_token) {
+        throw new Error(`No tokens found for user ${username}`);
+    }
+
+    let accessToken = decryptToken(tokensRow.access_token);
+
+    if (tokensRow.expires_at && new Date(tokensRow.expires_at).getTime() - Date.now() < TOKEN_EXPIRY_LEEWAY_MS) {
+        log.debug(`Token of user ${username} expires soon, refreshing token...`);
+        try {
+            accessToken = (await refreshUserTokens(username, accessToken)).access_token;
+        } catch (error) {
+            log.warn(`Could not refresh the token of user ${username} ahead of its expiry: ${error.message}`);
+        }
+    }
+
+    try {
+        return await fn(accessToken);
+    } catch (error) {
+        if (!isUnauthorizedError(error)) {
+            throw error;
+        }
+
+        log.warn(`Token expired for user ${username}, refreshing token...`);
+
+        const newTokens = await refreshUserTokens(username, accessToken);
+
+        return await fn(newTokens.access_token);
+    }
+};
+
+/**
+ * Fetches data of a user that must never be served from cache, such as their history.
+ * @param {string} endpoint - The API endpoint.
+ * @param {Object} params - Query parameters.
+ * @param {string} accessToken - The access token of the user.
+ * @returns {Promise<any>} The data from the API.
+ * @description
+ *   - Throws a 'token_expired' error if the access token has expired.
+ */
+const fetchUserData = async (endpoint, params, accessToken) => {
+    try {
+        return await fetchData(endpoint, params, accessToken, false);
+    } catch (error) {
+        if (error.response && error.response.status === 401) {
+            throw new Error('token_expired');
+        }
+        throw error;
+    }
+};
+
 /**
  * Fetches watched items for a specific user and type from the Trakt API.
  * @example
@@ -230,133 +476,283 @@ const updateTokensInDb = async (username, newAccessToken, newRefreshToken) => {
  * @param {string} accessToken - The access token for authenticating with the Trakt API.
  * @returns {Promise<any>} A promise that resolves with the data from the API or rejects with an error.
  * @description
- *   - Authenticates the request using the provided access token.
+ *   - Authenticates the request using the provided access token, and never reads the cache.
  *   - Throws 'token_expired' error if the access token has expired.
  */
 const fetchUserHistory = async (username, type, accessToken) => {
-    const endpoint = `/users/${username}/watched/${type}`;
+    return fetchUserData(`/users/${username}/watched/${type}`, {}, accessToken);
+};
 
-    try {
-        return await fetchData(endpoint, {}, accessToken);
-    } catch (error) {
-        if (error.response && error.response.status === 401) {
-            throw new Error('token_expired');
-        } else {
-            throw error;
+/**
+ * Fetches the history events of a user watched since a date, page after page.
+ * @example
+ * fetchHistoryDelta('movies', '2024-10-01T20:00:00.000Z', 'abc123')
+ * [{ id: 1982346, watched_at: '2024-10-02T21:10:00.000Z', type: 'movie', movie: { ... } }, ...]
+ * @param {string} type - 'movies' or 'episodes'.
+ * @param {string} startAt - The ISO 8601 date of the previous sync.
+ * @param {string} accessToken - The access token of the user.
+ * @returns {Promise<Array<Object>|null>} The events, or null if there are more than HISTORY_MAX_PAGES pages and a full sync is cheaper.
+ */
+const fetchHistoryDelta = async (type, startAt, accessToken) => {
+    const events = [];
+
+    for (let page = 1; page <= HISTORY_MAX_PAGES; page++) {
+        const pageEvents = await fetchUserData(`/sync/history/${type}`, { start_at: startAt, page, limit: HISTORY_PAGE_LIMIT }, accessToken);
+        events.push(...pageEvents);
+
+        if (pageEvents.length < HISTORY_PAGE_LIMIT) {
+            return events;
         }
     }
+
+    return null;
 };
 
 /**
- * Handles updating Trakt history and marks watched content.
- * @example
- * handleTraktHistory(parsedConfig, filteredResults, 'movies')
- * // Returns processed results with watched indications
- * @param {Object} parsedConfig - Configuration object containing Trakt username and optional watched emoji.
- * @param {Array} filteredResults - Array of filtered content results to be processed.
- * @param {string} type - Type of content to handle ('movies' or 'series').
- * @returns {Array} Processed content results with watched indications when applicable.
+ * Tells whether titles or episodes have been removed from the Trakt history of a user since the last sync.
+ * @param {string} username - The Trakt username.
+ * @param {string} accessToken - The access token of the user.
+ * @returns {Promise<boolean>} True if the stored history has more movies or episodes than Trakt.
  * @description
- *   - Fetches user's Trakt history if the last fetch was outside the configured interval.
- *   - Updates the Trakt tokens if they are expired during fetching.
- *   - Marks content with a specific emoji if it exists in the user's Trakt history.
+ *   - History deltas only list new plays, so removals are detected by comparing counts with /users/:username/stats.
  */
-async function handleTraktHistory(parsedConfig, filteredResults, type) {
-    const traktUsername = parsedConfig.traktUsername;
-    const watchedEmoji = parsedConfig.watchedEmoji || '✔️';
+const hasRemovedHistory = async (username, accessToken) => {
+    const stats = await fetchUserData(`/users/${username}/stats`, {}, accessToken);
+    const result = await pool.query(
+        `SELECT
+            (SELECT COUNT(*) FROM trakt_history WHERE username = $1 AND type = 'movie') AS movies,
+            (SELECT COUNT(*) FROM trakt_episode_history WHERE username = $1) AS episodes`,
+        [username]
+    );
+
+    const local = result.rows[0];
+    return parseInt(local.movies, 10) > stats.movies.watched || parseInt(local.episodes, 10) > stats.episodes.watched;
+};
+
+/**
+ * Brings the stored history of a user up to date with the smallest possible download.
+ * @param {string} username - The Trakt username.
+ * @param {string} accessToken - The access token of the user.
+ * @param {Object|null} previousActivity - The activity stored by the previous sync: { movies, episodes, fullSyncedAt }.
+ * @returns {Promise<Object>} The activity to store for the next sync.
+ * @description
+ *   - Reads /sync/last_activities; if nothing was watched since the previous sync, nothing else is downloaded.
+ *   - Otherwise, only the history events since the previous sync are fetched from /sync/history and upserted.
+ *   - Falls back to a full sync of /users/:username/watched, which also deletes what is gone from Trakt, when:
+ *     the history was never synced, the last full sync is older than HISTORY_FULL_SYNC_INTERVAL (it catches plays added with a past date),
+ *     the delta is too large, or something was removed from the history on Trakt.
+ */
+const syncHistoryWithToken = async (username, accessToken, previousActivity) => {
+    const activities = await fetchUserData('/sync/last_activities', {}, accessToken);
+    const activity = { movies: activities.movies.watched_at, episodes: activities.episodes.watched_at };
+
+    const fullSync = async () => {
+        const [movieHistory, showHistory] = await Promise.all([
+            fetchUserHistory(username, 'movies', accessToken),
+            fetchUserHistory(username, 'shows', accessToken)
+        ]);
+        await saveUserWatchedHistory(username, [...movieHistory, ...showHistory], true);
+        log.info(`Full history sync done for user ${username}`);
+        return { ...activity, fullSyncedAt: new Date().toISOString() };
+    };
+
+    const fullSyncAge = previousActivity && previousActivity.fullSyncedAt ? Date.now() - new Date(previousActivity.fullSyncedAt) : Infinity;
+    if (fullSyncAge >= parseCacheDuration(HISTORY_FULL_SYNC_INTERVAL) * 1000) {
+        return fullSync();
+    }
+
+    const changedTypes = ['movies', 'episodes'].filter(type => activity[type] !== previousActivity[type]);
+    if (!changedTypes.length) {
+        log.debug(`History of user ${username} unchanged since the last sync`);
+        return { ...activity, fullSyncedAt: previousActivity.fullSyncedAt };
+    }
+
+    const deltas = await Promise.all(changedTypes.map(type => fetchHistoryDelta(type, previousActivity[type], accessToken)));
+    if (deltas.includes(null)) {
+        return fullSync();
+    }
+
+    const events = deltas.flat();
+    await saveHistoryEvents(username, events);
+    log.info(`${events.length} history events synced for user ${username}`);
+
+    if (await hasRemovedHistory(username, accessToken)) {
+        log.info(`History entries were removed on Trakt for user ${username}`);
+        return fullSync();
+    }
+
+    return { ...activity, fullSyncedAt: previousActivity.fullSyncedAt };
+};
+
+/**
+ * Parses TRAKT_HISTORY_FETCH_INTERVAL.
+ * @returns {number} The interval between two history syncs of a user, in milliseconds.
+ */
+const getHistoryFetchInterval = () => {
     const fetchInterval = process.env.TRAKT_HISTORY_FETCH_INTERVAL || '24h';
+    const intervalValue = parseInt(fetchInterval.slice(0, -1), 10);
+    const intervalUnit = fetchInterval.slice(-1);
+
+    switch (intervalUnit) {
+        case 'h':
+            return intervalValue * 60 * 60 * 1000;
+        case 'd':
+            return intervalValue * 24 * 60 * 60 * 1000;
+        default:
+            throw new Error(`Invalid time unit in TRAKT_HISTORY_FETCH_INTERVAL: ${fetchInterval}`);
+    }
+};
 
-    const dbType = type === 'movies' ? 'movie' : type === 'series' ? 'show' : type;
+/**
+ * Returns the version of the stored history of a user, to key the caches built from it.
+ * @example
+ * getHistoryVersion('john_doe')
+ * '12'
+ * @param {string} username - The Trakt username.
+ * @returns {Promise<string>} The version, '0' until the history first changes.
+ * @description
+ *   - bumpHistoryVersion is called whenever the stored history changes (sync, mark as watched, logout),
+ *     so every cache keyed by the version is retired at once.
+ */
+const getHistoryVersion = async (username) => {
+    return (await safeRedisCall('get', `history:${username}:version`)) || '0';
+};
+
+const bumpHistoryVersion = async (username) => {
+    await safeRedisCall('incr', `history:${username}:version`);
+};
+
+const historyRefreshes = new Map();
+
+/**
+ * Syncs the Trakt history of a user into trakt_history and trakt_episode_history.
+ * @example
+ * refreshUserHistory('john_doe')
+ * // trakt_history is up to date for 'john_doe'
+ * @param {string} traktUsername - The Trakt username whose history is refreshed.
+ * @returns {Promise<void>} No value is returned.
+ * @description
+ *   - Incremental, see syncHistoryWithToken; the Trakt activity of the sync is stored for the next one.
+ *   - Calls Trakt through callWithUserToken, which refreshes the tokens when they expire.
+ *   - Drops the cached "Because you watched" catalogs of the user, so they are rebuilt from the new history.
+ *   - A refresh already running for the same user is shared instead of being started twice.
+ *   - Errors are thrown to the caller.
+ */
+const refreshUserHistory = (traktUsername) => {
+    if (historyRefreshes.has(traktUsername)) {
+        return historyRefreshes.get(traktUsername);
+    }
 
-    const intervalInMs = (() => {
-        const intervalValue = parseInt(fetchInterval.slice(0, -1), 10);
-        const intervalUnit = fetchInterval.slice(-1);
-
-        switch (intervalUnit) {
-            case 'h':
-                return intervalValue * 60 * 60 * 1000;
-            case 'd':
-                return intervalValue * 24 * 60 * 60 * 1000;
-            default:
-                throw new Error(`Invalid time unit in TRAKT_HISTORY_FETCH_INTERVAL: ${fetchInterval}`);
+    const refresh = (async () => {
+        const tokensResult = await pool.query(
+            `SELECT history_activity FROM trakt_tokens WHERE username = $1`,
+            [traktUsername]
+        );
+
+        const tokensRow = tokensResult.rows[0];
+        if (!tokensRow) {
+            throw new Error(`No tokens found for user ${traktUsername}`);
         }
-    })();
 
-    const result = await pool.query(
-        `SELECT last_fetched_at FROM trakt_tokens WHERE username = $1`,
-        [traktUsername]
-    );
+        const now = new Date();
+        const activity = await callWithUserToken(traktUsername, (accessToken) => syncHistoryWithToken(traktUsername, accessToken, tokensRow.history_activity));
 
-    const lastFetchedRow = result.rows[0];
-    const lastFetchedAt = lastFetchedRow ? new Date(lastFetchedRow.last_fetched_at) : null;
-    const now = new Date();
+        await pool.query(
+            `UPDATE trakt_tokens SET last_fetched_at = $1, history_activity = $2 WHERE username = $3`,
+            [now.toISOString(), JSON.stringify(activity), traktUsername]
+        );
 
-    if (!lastFetchedAt || (now - lastFetchedAt) >= intervalInMs) {
-        try {
-            const tokensResult = await pool.query(
-                `SELECT access_token, refresh_token FROM trakt_tokens WHERE username = $1`,
-                [traktUsername]
-            );
+        await bumpHistoryVersion(traktUsername);
+    })();
 
-            const tokensRow = tokensResult.rows[0];
-            if (tokensRow) {
-                let { access_token, refresh_token } = tokensRow;
-
-                try {
-                    const [movieHistory, showHistory] = await Promise.all([
-                        fetchUserHistory(traktUsername, 'movies', access_token),
-                        fetchUserHistory(traktUsername, 'shows', access_token)
-                    ]);
-
-                    await Promise.all([
-                        saveUserWatchedHistory(traktUsername, movieHistory),
-                        saveUserWatchedHistory(traktUsername, showHistory)
-                    ]);
-                } catch (error) {
-                    if (error.message === 'token_expired') {
-                        log.warn(`Token expired for user ${traktUsername}, refreshing token...`);
-
-                        const newTokens = await refreshTraktToken(refresh_token);
-                        access_token = newTokens.access_token;
-                        refresh_token = newTokens.refresh_token;
-
-                        await updateTokensInDb(traktUsername, newTokens.access_token, newTokens.refresh_token);
-
-                        const [movieHistory, showHistory] = await Promise.all([
-                            fetchUserHistory(traktUsername, 'movies', newTokens.access_token),
-                            fetchUserHistory(traktUsername, 'shows', newTokens.access_token)
-                        ]);
-
-                        await Promise.all([
-                            saveUserWatchedHistory(traktUsername, movieHistory),
-                            saveUserWatchedHistory(traktUsername, showHistory)
-                        ]);
-                    } else {
-                        throw error;
-                    }
-                }
+    historyRefreshes.set(traktUsername, refresh);
+    return refresh.finally(() => historyRefreshes.delete(traktUsername));
+};
 
-                await pool.query(
-                    `UPDATE trakt_tokens SET last_fetched_at = $1 WHERE username = $2`,
-                    [now.toISOString(), traktUsername]
-                );
-            }
-        } catch (error) {
-            log.error(`Error fetching Trakt history for user ${traktUsername}: ${error.message}`);
+/**
+ * Makes sure the stored Trakt history of a user can be used by a request.
+ * @example
+ * syncUserHistory('john_doe')
+ * // trakt_history is up to date for 'john_doe'
+ * @param {string} traktUsername - The Trakt username whose history is refreshed.
+ * @returns {Promise<void>} No value is returned.
+ * @description
+ *   - With the scheduler enabled, only a history that was never fetched is fetched here; the sync_history job keeps the others fresh.
+ *   - With SCHEDULER_ENABLED=false, the history is refreshed when the last fetch is older than TRAKT_HISTORY_FETCH_INTERVAL.
+ *   - Users who disconnected from Trakt keep their stored history, which is no longer refreshed.
+ *   - Errors are logged and swallowed so the previously stored history can still be used.
+ */
+const syncUserHistory = async (traktUsername) => {
+    try {
+        const result = await pool.query(
+            `SELECT last_fetched_at, access_token FROM trakt_tokens WHERE username = $1`,
+            [traktUsername]
+        );
+
+        const lastFetchedRow = result.rows[0];
+        if (!lastFetchedRow || !lastFetchedRow.access_token) {
+            return;
+        }
+
+        const lastFetchedAt = lastFetchedRow.last_fetched_at ? new Date(lastFetchedRow.last_fetched_at) : null;
+        const isStale = !lastFetchedAt || (!SCHEDULER_ENABLED && (new Date() - lastFetchedAt) >= getHistoryFetchInterval());
+
+        if (isStale) {
+            await refreshUserHistory(traktUsername);
         }
+    } catch (error) {
+        log.error(`Error fetching Trakt history for user ${traktUsername}: ${error.message}`);
     }
+};
 
-    const traktIdsResult = await pool.query(
-        `SELECT imdb_id FROM trakt_history WHERE username = $1 AND type = $2 AND imdb_id IS NOT NULL`,
-        [traktUsername, dbType]
-    );
+/**
+ * Returns the Stremio IDs of everything a user has watched, from the stored history.
+ * @example
+ * fetchWatchedIds('john_doe', 'movies')
+ * Set { 'tt0137523', 'tt0078748', 'tmdb:1100099', ... }
+ * @param {string} traktUsername - The Trakt username.
+ * @param {string} type - Type of content ('movie', 'movies', 'series' or 'show'), or 'list' for both movies and shows.
+ * @returns {Promise<Set<string>>} The watched items, with the same IDs as catalog metas (see getStremioId).
+ */
+const fetchWatchedIds = async (traktUsername, type) => {
+    const dbType = type === 'movies' ? 'movie' : type === 'series' ? 'show' : type;
+
+    const traktIdsResult = dbType === 'list'
+        ? await pool.query(
+            `SELECT imdb_id, tmdb_id, trakt_id FROM trakt_history WHERE username = $1`,
+            [traktUsername]
+        )
+        : await pool.query(
+            `SELECT imdb_id, tmdb_id, trakt_id FROM trakt_history WHERE username = $1 AND type = $2`,
+            [traktUsername, dbType]
+        );
 
     log.debug(`Fetching Trakt history for user ${traktUsername} with type ${dbType}. Result: ${traktIdsResult.rows.length} items found.`);
-    const traktIds = traktIdsResult.rows.map(row => `${row.imdb_id}`);
+    return new Set(traktIdsResult.rows.map(row => getStremioId({ imdb: row.imdb_id, tmdb: row.tmdb_id, trakt: row.trakt_id })));
+};
+
+/**
+ * Handles updating Trakt history and marks watched content.
+ * @example
+ * handleTraktHistory(parsedConfig, filteredResults, 'movies')
+ * // Returns processed results with watched indications
+ * @param {Object} parsedConfig - Configuration object containing Trakt username and optional watched emoji.
+ * @param {Array} filteredResults - Array of filtered content results to be processed.
+ * @param {string} type - Type of content to handle ('movies' or 'series').
+ * @returns {Array} Processed content results with watched indications when applicable.
+ * @description
+ *   - Refreshes the user's stored history through syncUserHistory.
+ *   - Marks content with a specific emoji if it exists in the user's Trakt history.
+ */
+async function handleTraktHistory(parsedConfig, filteredResults, type) {
+    const traktUsername = parsedConfig.traktUsername;
+    const watchedEmoji = parsedConfig.watchedEmoji || '✔️';
+
+    await syncUserHistory(traktUsername);
+    const watchedIds = await fetchWatchedIds(traktUsername, type);
 
     return filteredResults.map(content => {
-        const contentId = `${content.id}`;
-        if (traktIds.includes(contentId)) {
+        if (content && watchedIds.has(`${content.id}`)) {
             content.name = `${watchedEmoji} ${content.name || content.title}`;
         }
         return content;
@@ -364,54 +760,156 @@ async function handleTraktHistory(parsedConfig, filteredResults, type) {
 }
 
 /**
- * Save the user's viewing history to the database
+ * Upserts history rows, several hundreds at a time.
+ * @param {Object} client - A client of the pool, inside a transaction.
+ * @param {string} username - The username the rows belong to.
+ * @param {Array<Object>} titles - Rows of trakt_history: { ids, type, title, watchedAt }, one per type and Trakt ID.
+ * @param {Array<Object>} episodes - Rows of trakt_episode_history: { showIds, season, episode, plays, watchedAt }, one per episode.
+ * @param {boolean} isDelta - Whether the rows are new plays to add up, or the complete watched state of each row.
+ * @description
+ *   - Rows conflict on (username, type, trakt_id), not on imdb_id: titles missing from IMDb have no imdb_id,
+ *     and NULLs never conflict in a unique index, so such titles would be inserted again on every sync.
+ *   - A missing imdb_id or tmdb_id never erases the one already stored.
+ */
+const upsertHistoryRows = async (client, username, titles, episodes, isDelta) => {
+    if (titles.length) {
+        await client.query(
+            `INSERT INTO trakt_history (username, trakt_id, imdb_id, tmdb_id, type, title, watched_at)
+             SELECT $1, * FROM UNNEST($2::int[], $3::text[], $4::int[], $5::text[], $6::text[], $7::timestamp[])
+             ON CONFLICT (username, type, trakt_id) DO UPDATE SET
+                imdb_id = COALESCE(EXCLUDED.imdb_id, trakt_history.imdb_id),
+                tmdb_id = COALESCE(EXCLUDED.tmdb_id, trakt_history.tmdb_id),
+                title = COALESCE(EXCLUDED.title, trakt_history.title),
+                watched_at = ${isDelta ? 'GREATEST(trakt_history.watched_at, EXCLUDED.watched_at)' : 'EXCLUDED.watched_at'}`,
+            [
+                username,
+                titles.map(row => row.ids.trakt),
+                titles.map(row => row.ids.imdb || null),
+                titles.map(row => row.ids.tmdb || null),
+                titles.map(row => row.type),
+                titles.map(row => row.title),
+                titles.map(row => row.watchedAt)
+            ]
+        );
+    }
+
+    if (episodes.length) {
+        await client.query(
+            `INSERT INTO trakt_episode_history (username, show_trakt_id, show_imdb_id, show_tmdb_id, season, episode, plays, watched_at)
+             SELECT $1, * FROM UNNEST($2::int[], $3::text[], $4::int[], $5::int[], $6::int[], $7::int[], $8::timestamp[])
+             ON CONFLICT (username, show_trakt_id, season, episode) DO UPDATE SET
+                show_imdb_id = COALESCE(EXCLUDED.show_imdb_id, trakt_episode_history.show_imdb_id),
+                show_tmdb_id = COALESCE(EXCLUDED.show_tmdb_id, trakt_episode_history.show_tmdb_id),
+                ${isDelta
+                    ? `plays = CASE WHEN EXCLUDED.watched_at > trakt_episode_history.watched_at THEN trakt_episode_history.plays + EXCLUDED.plays ELSE trakt_episode_history.plays END,
+                watched_at = GREATEST(trakt_episode_history.watched_at, EXCLUDED.watched_at)`
+                    : `plays = EXCLUDED.plays,
+                watched_at = EXCLUDED.watched_at`}`,
+            [
+                username,
+                episodes.map(row => row.showIds.trakt),
+                episodes.map(row => row.showIds.imdb || null),
+                episodes.map(row => row.showIds.tmdb || null),
+                episodes.map(row => row.season),
+                episodes.map(row => row.episode),
+                episodes.map(row => row.plays),
+                episodes.map(row => row.watchedAt)
+            ]
+        );
+    }
+};
+
+/**
+ * Keeps the latest row per key, as one upsert statement cannot update the same row twice.
+ * @param {Map} rows - The rows collected so far, by key.
+ * @param {string} key - The key of the row.
+ * @param {Object} row - The row, with watchedAt and, for episodes, plays.
+ */
+const mergeHistoryRow = (rows, key, row) => {
+    const existing = rows.get(key);
+    if (!existing) {
+        rows.set(key, row);
+        return;
+    }
+    if (row.plays) {
+        existing.plays += row.plays;
+    }
+    if (new Date(row.watchedAt) > new Date(existing.watchedAt)) {
+        existing.watchedAt = row.watchedAt;
+    }
+};
+
+/**
+ * Saves the complete watched history of a user, as returned by /users/:username/watched/{movies,shows}.
  * @example
- * sync('john_doe', [{ movie: { ids: { imdb: 'tt1234567', tmdb: '123456' }, title: 'Movie Title' }, last_watched_at: '2023-10-01' }])
- * // Saves or updates history for 'john_doe' based on provided records
- * @param {string} username - The username of the user whose history is being updated.
- * @param {Array} history - An array containing the viewing history records, each with movie or show details.
- * @returns {void} No value is returned.
+ * saveUserWatchedHistory('john_doe', [...movieHistory, ...showHistory], true)
+ * // trakt_history and trakt_episode_history match the Trakt history of john_doe
+ * @param {string} username - The username of the user whose history is being saved.
+ * @param {Array} history - An array of watched movies and/or shows.
+ * @param {boolean} [replace=false] - Whether history contains both movies and shows, and rows missing from it must be deleted.
+ * @returns {Promise<void>} A Promise that resolves when the operation is complete.
  * @description
- *   - Records or updates user's viewing history in a PostgreSQL database.
- *   - Starts a database transaction to ensure data consistency.
- *   - After attempting to save or update all records, it either commits the transaction or rolls back in case of an error.
+ *   - Rows are keyed by Trakt ID, so titles without an IMDb ID are stored too.
+ *   - For shows, every watched episode from the seasons payload is also stored in trakt_episode_history.
+ *   - Batched upserts in a single transaction, rolled back in case of an error.
  */
-const saveUserWatchedHistory = async (username, history) => {
-    if (!history || history.length === 0) {
+const saveUserWatchedHistory = async (username, history, replace = false) => {
+    if ((!history || history.length === 0) && !replace) {
         log.warn(`No history to save for user ${username}.`);
         return;
     }
 
+    const titles = new Map();
+    const episodes = new Map();
+
+    for (const item of history || []) {
+        const media = item.movie || item.show;
+        const type = item.movie ? 'movie' : 'show';
+        if (!media.ids.trakt) continue;
+
+        mergeHistoryRow(titles, `${type}:${media.ids.trakt}`, {
+            ids: media.ids,
+            type,
+            title: media.title,
+            watchedAt: item.last_watched_at
+        });
+
+        if (item.show && Array.isArray(item.seasons)) {
+            for (const season of item.seasons) {
+                for (const episode of season.episodes || []) {
+                    mergeHistoryRow(episodes, `${media.ids.trakt}:${season.number}:${episode.number}`, {
+                        showIds: media.ids,
+                        season: season.number,
+                        episode: episode.number,
+                        plays: episode.plays,
+                        watchedAt: episode.last_watched_at
+                    });
+                }
+            }
+        }
+    }
+
     const client = await pool.connect();
     try {
         await client.query('BEGIN');
 
-        for (const item of history) {
-            const media = item.movie || item.show;
-            const mediaId = media.ids.imdb || media.ids.tmdb;
-            const mediaType = item.movie ? 'movie' : 'show';
-            const watchedAt = item.last_watched_at;
-            const title = media.title;
+        await upsertHistoryRows(client, username, [...titles.values()], [...episodes.values()], false);
 
-            const historyResult = await client.query(
-                `SELECT id FROM trakt_history WHERE username = $1 AND imdb_id = $2`,
-                [username, media.ids.imdb]
+        if (replace) {
+            const titleRows = [...titles.values()];
+            const episodeRows = [...episodes.values()];
+            await client.query(
+                `DELETE FROM trakt_history
+                 WHERE username = $1
+                   AND (type, trakt_id) NOT IN (SELECT * FROM UNNEST($2::text[], $3::int[]))`,
+                [username, titleRows.map(row => row.type), titleRows.map(row => row.ids.trakt)]
+            );
+            await client.query(
+                `DELETE FROM trakt_episode_history
+                 WHERE username = $1
+                   AND (show_trakt_id, season, episode) NOT IN (SELECT * FROM UNNEST($2::int[], $3::int[], $4::int[]))`,
+                [username, episodeRows.map(row => row.showIds.trakt), episodeRows.map(row => row.season), episodeRows.map(row => row.episode)]
             );
-
-            if (historyResult.rows.length > 0) {
-                await client.query(
-                    `UPDATE trakt_history
-                     SET watched_at = $1, title = $2, tmdb_id = $3, type = $4
-                     WHERE id = $5`,
-                    [watchedAt, title, media.ids.tmdb, mediaType, historyResult.rows[0].id]
-                );
-            } else {
-                await client.query(
-                    `INSERT INTO trakt_history (username, imdb_id, tmdb_id, type, watched_at, title)
-                     VALUES ($1, $2, $3, $4, $5, $6)`,
-                    [username, media.ids.imdb, media.ids.tmdb, mediaType, watchedAt, title]
-                );
-            }
         }
 
         await client.query('COMMIT');
@@ -425,27 +923,85 @@ const saveUserWatchedHistory = async (username, history) => {
     }
 };
 
+/**
+ * Adds history events from /sync/history to the stored history of a user.
+ * @example
+ * saveHistoryEvents('john_doe', [{ watched_at: '2024-10-02T21:10:00.000Z', type: 'movie', movie: { ... } }])
+ * // The watch of the movie is stored for john_doe
+ * @param {string} username - The username of the user.
+ * @param {Array<Object>} events - The history events, movies and episodes.
+ * @returns {Promise<void>} Resolves once the events are stored.
+ * @description
+ *   - Each episode event counts as one more play of the episode, unless it is not newer than the stored one.
+ *   - Batched upserts in a single transaction, rolled back in case of an error.
+ */
+const saveHistoryEvents = async (username, events) => {
+    const titles = new Map();
+    const episodes = new Map();
+
+    for (const event of events) {
+        const media = event.movie || event.show;
+        const type = event.movie ? 'movie' : 'show';
+        if (!media || !media.ids.trakt) continue;
+
+        mergeHistoryRow(titles, `${type}:${media.ids.trakt}`, {
+            ids: media.ids,
+            type,
+            title: media.title,
+            watchedAt: event.watched_at
+        });
+
+        if (event.type === 'episode' && event.episode) {
+            mergeHistoryRow(episodes, `${media.ids.trakt}:${event.episode.season}:${event.episode.number}`, {
+                showIds: media.ids,
+                season: event.episode.season,
+                episode: event.episode.number,
+                plays: 1,
+                watchedAt: event.watched_at
+            });
+        }
+    }
+
+    if (!titles.size && !episodes.size) {
+        return;
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await upsertHistoryRows(client, username, [...titles.values()], [...episodes.values()], true);
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        log.error(`Error saving history events for user ${username}: ${err.message}`);
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
 const fetchUserProfile = async (accessToken) => {
     const endpoint = '/users/me';
     return await fetchData(endpoint, {}, accessToken);
 };
 
 /**
- * Retrieves the Trakt ID associated with a given TMDB ID.
+ * Retrieves the Trakt ID associated with a given TMDB (or other external) ID.
  * @example
  * lookupTraktId(12345, 'movie', 'your_access_token')
  * 67890
- * @param {number} tmdbId - The TMDB ID for which the Trakt ID is needed.
+ * @param {number|string} tmdbId - The external ID for which the Trakt ID is needed.
  * @param {string} type - The type of media ('movie', 'show', etc.).
  * @param {string} accessToken - The access token for authentication.
- * @returns {number} The Trakt ID corresponding to the given TMDB ID.
+ * @param {string} [source='tmdb'] - The kind of external ID passed ('tmdb', 'imdb', 'tvdb').
+ * @returns {number} The Trakt ID corresponding to the given external ID.
  * @description
  *   - Makes a GET request to the Trakt API to retrieve data.
  *   - Throws an error if no matching Trakt ID is found.
  *   - Logs an error with the message for troubleshooting in case of failure.
  */
-async function lookupTraktId(tmdbId, type, accessToken) {
-    const url = `${TRAKT_BASE_URL}/search/tmdb/${tmdbId}?type=${type}`;
+async function lookupTraktId(tmdbId, type, accessToken, source = 'tmdb') {
+    const url = `${TRAKT_BASE_URL}/search/${source}/${tmdbId}?type=${type}`;
 
     try {
         const response = await makeGetRequest(url, accessToken);
@@ -453,17 +1009,74 @@ async function lookupTraktId(tmdbId, type, accessToken) {
             const traktId = response[0][type].ids.trakt;
             return traktId;
         } else {
-            throw new Error(`No Trakt ID found for TMDB ID ${tmdbId}`);
+            throw new Error(`No Trakt ID found for ${source} ID ${tmdbId}`);
         }
     } catch (error) {
-        log.error(`Error fetching Trakt ID for TMDB ID ${tmdbId}: ${error.message}`);
+        log.error(`Error fetching Trakt ID for ${source} ID ${tmdbId}: ${error.message}`);
         throw error;
     }
 }
 
+/**
+ * Looks up a movie or show on Trakt by one of its ids.
+ * @param {string} source - The kind of id: 'imdb', 'tmdb', 'tvdb' or 'trakt'.
+ * @param {string|number} id - The id.
+ * @param {string} type - The type of media, either 'movie' or 'series'.
+ * @returns {Promise<Object|null>} The Trakt movie or show, or null if Trakt does not know it.
+ */
+const lookupMedia = async (source, id, type) => {
+    const traktType = type === 'series' ? 'show' : type;
+    const response = await fetchData(`/search/${source}/${id}`, { type: traktType });
+    const match = response.find(result => result.type === traktType && result[traktType]);
+
+    return match ? match[traktType] : null;
+};
+
+/**
+ * Resolves an IMDb ID to the full set of ids known by Trakt (trakt, slug, tmdb, tvdb...).
+ * @example
+ * lookupIdsByImdbId('tt0137523', 'movie')
+ * { trakt: 432, slug: 'fight-club-1999', imdb: 'tt0137523', tmdb: 550 }
+ * @param {string} imdbId - The IMDb ID to resolve.
+ * @param {string} type - The type of media, either 'movie' or 'series'.
+ * @returns {Promise<Object|null>} The ids object of the matching item, or null if Trakt does not know it.
+ */
+const lookupIdsByImdbId = async (imdbId, type) => {
+    const media = await lookupMedia('imdb', imdbId, type);
+    return media ? media.ids : null;
+};
+
+/**
+ * Resolves a TMDB ID to the full set of ids known by Trakt, along with the title and year.
+ * @example
+ * lookupIdsByTmdbId(550, 'movie')
+ * { title: 'Fight Club', year: 1999, ids: { trakt: 432, slug: 'fight-club-1999', imdb: 'tt0137523', tmdb: 550 } }
+ * @param {number} tmdbId - The TMDB ID to resolve.
+ * @param {string} type - The type of media, either 'movie' or 'series'.
+ * @returns {Promise<Object|null>} The Trakt movie or show, or null if Trakt does not know it.
+ */
+const lookupIdsByTmdbId = async (tmdbId, type) => {
+    return lookupMedia('tmdb', tmdbId, type);
+};
+
+/**
+ * Resolves a Stremio ID (see getStremioId) to the full set of ids known by Trakt.
+ * @example
+ * lookupIdsByStremioId('tmdb:1100099:1:2', 'series')
+ * { trakt: 1187201, slug: '...', imdb: null, tmdb: 1100099 }
+ * @param {string} stremioId - An IMDb, 'tmdb:' or 'trakt:' ID, optionally followed by a season and an episode.
+ * @param {string} type - The type of media, either 'movie' or 'series'.
+ * @returns {Promise<Object|null>} The ids object of the matching item, or null if Trakt does not know it.
+ */
+const lookupIdsByStremioId = async (stremioId, type) => {
+    const { source, value } = parseStremioId(stremioId);
+    const media = await lookupMedia(source, value, type);
+    return media ? media.ids : null;
+};
+
 
 /**
-* Synchronizes watched status for movies or series with Trakt.
+* Synchronizes watched status for movies, series or a single episode with Trakt.
 * @example
 * sync('accessToken123', 'movies', 456, '2023-09-30T12:34:56Z')
 * Promise resolving with API response data
@@ -471,13 +1084,17 @@ async function lookupTraktId(tmdbId, type, accessToken) {
 * @param {string} type - Type of content, either 'movies' or 'series'.
 * @param {number} id - The Trakt ID of the movie or series.
 * @param {string} watched_at - The ISO 8601 formatted date-time string when the movie or episode was watched.
+* @param {number|null} [season=null] - The season number, to mark a single episode of a series.
+* @param {number|null} [episode=null] - The episode number, to mark a single episode of a series.
 * @returns {Promise<Object>} The response object from the Trakt API.
 * @description
 *   - Captures errors during the API request and logs them before rethrowing.
 *   - The function builds the request payload based on whether the type is 'movies' or 'series'.
+*   - When a season and episode are given, only that episode of the series is marked as watched.
 *   - Uses `makePostRequest` to communicate with the Trakt API for syncing.
+*   - Drops the cached watched progress of a marked series, so Up Next moves on to the next episode at once.
 */
-const markContentAsWatched = async (access_token, type, id, watched_at) => {
+const markContentAsWatched = async (access_token, type, id, watched_at, season = null, episode = null) => {
     const url = `${TRAKT_BASE_URL}/sync/history`;
   
     let data = {};
@@ -485,6 +1102,13 @@ const markContentAsWatched = async (access_token, type, id, watched_at) => {
       data = {
         movies: [{ ids: { trakt: id }, watched_at }]
       };
+    } else if (type === 'series' && season !== null && episode !== null) {
+      data = {
+        shows: [{
+          ids: { trakt: id },
+          seasons: [{ number: season, episodes: [{ number: episode, watched_at }] }]
+        }]
+      };
     } else if (type === 'series') {
       data = {
         shows: [{ ids: { trakt: id }, watched_at }]
@@ -493,6 +1117,12 @@ const markContentAsWatched = async (access_token, type, id, watched_at) => {
   
     try {
       const response = await makePostRequest(url, data, access_token);
+
+      if (type === 'series') {
+        const progressUrl = `${TRAKT_BASE_URL}/shows/${id}/progress/watched?${new URLSearchParams(UPNEXT_PROGRESS_PARAMS)}`;
+        await safeRedisCall('del', `trakt:GET:${getTokenCacheScope(access_token)}:${progressUrl}`);
+      }
+
       return response;
     } catch (error) {
       log.error(`Error marking content as watched: ${error.message}`);
@@ -500,6 +1130,53 @@ const markContentAsWatched = async (access_token, type, id, watched_at) => {
     }
   };
 
+/**
+ * Records a single watched item in the local history so catalogs reflect it before the next sync.
+ * @example
+ * addToLocalHistory('john_doe', 'movie', { trakt: 432, imdb: 'tt0137523', tmdb: 550 }, '2023-09-30T12:34:56Z')
+ * // Inserts or updates the history row of Fight Club for john_doe
+ * @param {string} username - The username of the user who watched the item.
+ * @param {string} mediaType - The type stored in the history table, either 'movie' or 'show'.
+ * @param {Object} ids - The ids of the movie or show, at least `trakt`.
+ * @param {string} watchedAt - The ISO 8601 formatted date-time string when the item was watched.
+ * @returns {Promise<void>} Resolves once the row is written.
+ */
+const addToLocalHistory = async (username, mediaType, ids, watchedAt) => {
+    await pool.query(
+        `INSERT INTO trakt_history (username, trakt_id, imdb_id, tmdb_id, type, watched_at) VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (username, type, trakt_id) DO UPDATE SET watched_at = EXCLUDED.watched_at`,
+        [username, ids.trakt, ids.imdb || null, ids.tmdb || null, mediaType, watchedAt]
+    );
+
+    await bumpHistoryVersion(username);
+    log.debug(`Local history updated for user ${username} with ${mediaType} ${ids.trakt}`);
+};
+
+/**
+ * Records a single watched episode in the local episode history so progress reflects it before the next sync.
+ * @example
+ * addEpisodeToLocalHistory('john_doe', { trakt: 1390, imdb: 'tt0944947' }, 1, 2, '2023-09-30T12:34:56Z')
+ * // Inserts or updates the row of Game of Thrones S01E02 for john_doe
+ * @param {string} username - The username of the user who watched the episode.
+ * @param {Object} showIds - The ids of the show, at least `trakt`.
+ * @param {number} season - The season number of the episode.
+ * @param {number} episode - The episode number within the season.
+ * @param {string} watchedAt - The ISO 8601 formatted date-time string when the episode was watched.
+ * @returns {Promise<void>} Resolves once the row is written.
+ */
+const addEpisodeToLocalHistory = async (username, showIds, season, episode, watchedAt) => {
+    await pool.query(
+        `INSERT INTO trakt_episode_history (username, show_trakt_id, show_imdb_id, show_tmdb_id, season, episode, plays, watched_at)
+         VALUES ($1, $2, $3, $4, $5, $6, 1, $7)
+         ON CONFLICT (username, show_trakt_id, season, episode)
+         DO UPDATE SET plays = trakt_episode_history.plays + 1, watched_at = $7`,
+        [username, showIds.trakt, showIds.imdb || null, showIds.tmdb || null, season, episode, watchedAt]
+    );
+
+    await bumpHistoryVersion(username);
+    log.debug(`Local episode history updated for user ${username} with show ${showIds.trakt} S${season}E${episode}`);
+};
+
   const fetchTrendingLists = async (page = 1, limit = 10, accessToken = null) => {
     const endpoint = `/lists/trending?page=${page}&limit=${limit}`;
     const response = await fetchData(endpoint, {}, accessToken);
@@ -522,6 +1199,34 @@ const fetchListById = async (listId, accessToken = null) => {
     return await fetchData(endpoint, {}, accessToken);
 };
 
+/**
+ * Fetches the personal lists of the authenticated user, private ones included.
+ * @example
+ * fetchUserLists('your_access_token')
+ * [{ name: 'My favorites', privacy: 'private', ids: { trakt: 123, slug: 'my-favorites' }, user: { ... } }]
+ * @param {string} accessToken - The access token of the user.
+ * @returns {Promise<Array<Object>>} The lists of the user.
+ * @description
+ *   - Cached for a short time only so newly created lists show up quickly on the configure page.
+ */
+const fetchUserLists = async (accessToken) => {
+    return await fetchData('/users/me/lists', {}, accessToken, USER_LISTS_CACHE_DURATION);
+};
+
+/**
+ * Fetches the lists liked by the authenticated user.
+ * @example
+ * fetchLikedLists('your_access_token', 1, 10)
+ * [{ liked_at: '...', type: 'list', list: { name: 'Best of 2023', ids: { trakt: 456 }, ... } }]
+ * @param {string} accessToken - The access token of the user.
+ * @param {number} [page=1] - The page of results to fetch.
+ * @param {number} [limit=10] - The number of lists per page.
+ * @returns {Promise<Array<Object>>} The liked lists, each wrapped in a `list` property.
+ */
+const fetchLikedLists = async (accessToken, page = 1, limit = 10) => {
+    return await fetchData('/users/me/likes/lists', { page, limit }, accessToken, USER_LISTS_CACHE_DURATION);
+};
+
 /**
  * Fetches and optionally sorts list items from the Trakt API.
  * @example
@@ -534,15 +1239,19 @@ const fetchListById = async (listId, accessToken = null) => {
  * @param {string|null} [sortBy=null] - The field by which results should be sorted (e.g., 'rank', 'listed_at').
  * @param {string} [sortHow='asc'] - The direction to sort the results ('asc' or 'desc').
  * @param {string|null} [accessToken=null] - The access token for authenticating the API request.
+ * @param {string|null} [owner=null] - The username owning the list, required to read private lists.
  * @returns {Array<Object>} The data fetched from Trakt API, sorted if a sort field is specified.
  * @description
  *   - The function will fetch data from the Trakt API, supporting pagination and optional sorting.
+ *   - Private lists are read through the owner's user endpoint, which requires the owner's access token.
  *   - Sorting is performed only if a valid `sortBy` argument is provided.
  *   - It logs debug information about the API request and response process.
  *   - The function throws an error if the API request fails.
  */
-const fetchListItems = async (listId, type, page = 1, limit = 20, sortBy = null, sortHow = 'asc', accessToken = null) => {
-    const endpoint = `/lists/${listId}/items/movies,shows`;
+const fetchListItems = async (listId, type, page = 1, limit = 20, sortBy = null, sortHow = 'asc', accessToken = null, owner = null) => {
+    const endpoint = owner
+        ? `/users/${owner}/lists/${listId}/items/movies,shows`
+        : `/lists/${listId}/items/movies,shows`;
 
     let params = {};
     if (!sortBy) {
@@ -597,97 +1306,78 @@ const fetchListItems = async (listId, type, page = 1, limit = 20, sortBy = null,
 };
 
 /**
- * Fetch trending items from the API based on the specified type and filters.
+ * Fetches the items of one of the Trakt charts (trending, popular, anticipated, box office, most watched/played/collected).
  * @example
- * sync('movie', 2, 10, 'action')
- * // returns an array of trending movies for page 2 with a limit of 10 items per page and filtered by 'action' genre
- * @param {string} type - The media type to fetch trending items for ('movie' or 'series').
+ * fetchChartItems('watched', 'movie', 2, 20, 'action', 'monthly')
+ * // returns the most watched action movies of the month, page 2
+ * @param {string} chart - The chart to fetch, one of the keys of TRAKT_CHARTS.
+ * @param {string} type - The media type to fetch the chart for ('movie' or 'series').
  * @param {number} [page=1] - The page number of results to retrieve.
  * @param {number} [limit=20] - The number of items per page.
- * @param {string|null} [genre=null] - Optional genre filter for the results.
- * @returns {Promise<Object>} A promise resolving to the fetched trending data.
+ * @param {string|null} [genre=null] - Optional genre slug filter for the results.
+ * @param {string} [period='weekly'] - The period of the chart, for charts that support one ('weekly', 'monthly', 'yearly', 'all').
+ * @param {Object} [filters={}] - Optional Trakt filters (years, ratings, runtimes, languages, countries, certifications).
+ * @returns {Promise<Array<Object>>} A promise resolving to the chart items.
  * @description
  *   - Converts type 'movie' to 'movies' and 'series' to 'shows' for the endpoint.
- *   - Logs debug information for each API call attempt and success.
+ *   - Charts without pagination (box office) only return data for the first page.
+ *   - Only the filters listed in CHART_FILTERS are passed on; they end up in the URL and therefore in the cache key.
  *   - Logs error information and re-throws the error if the fetch operation fails.
  */
-const fetchTrendingItems = async (type, page = 1, limit = 20, genre = null) => {
+const fetchChartItems = async (chart, type, page = 1, limit = 20, genre = null, period = 'weekly', filters = {}) => {
+    const chartConfig = TRAKT_CHARTS[chart];
     const convertedType = type === 'movie' ? 'movies' : type === 'series' ? 'shows' : type;
-    const endpoint = `/${convertedType}/trending`;
-    const params = { page, limit };
-    if (genre) {
-        params.genres = genre;
+
+    if (!chartConfig || !chartConfig.types.includes(convertedType)) {
+        throw new Error(`Unsupported chart ${chart} for ${convertedType}`);
     }
 
-    try {
-        log.debug(`Fetching trending items for type: ${type} (converted to ${convertedType}), page: ${page}, limit: ${limit}, genre: ${genre}`);
-        const data = await fetchData(endpoint, params);
-        log.debug(`Data successfully retrieved for trending ${convertedType}: ${endpoint}`);
-        return data;
-    } catch (error) {
-        log.error(`Error fetching trending ${convertedType}: ${error.message}`);
-        throw error;
+    if (!chartConfig.paginated && page > 1) {
+        return [];
     }
-};
 
-/**
-* Fetches a list of popular films or series from the API based on the specified type, pagination, and genre.
-* @example
-* sync('movie', 1, 20, 'action')
-* // Returns a list of popular action movies.
-* @param {string} type - The type of content to fetch, either 'movie' or 'series'.
-* @param {number} [page=1] - The page number for pagination.
-* @param {number} [limit=20] - The number of items to fetch per page.
-* @param {string|null} [genre=null] - The genre of content to filter by.
-* @returns {Promise<Object>} The fetched popular items data from the API.
-* @description
-*   - Converts 'movie' to 'movies' and 'series' to 'shows' to match the API endpoint paths.
-*   - Appends a 'genre' parameter to the request only if it is provided.
-*   - Logs the request and response for debugging, and handles errors by logging and throwing them.
-*/
-const fetchPopularItems = async (type, page = 1, limit = 20, genre = null) => {
-    const convertedType = type === 'movie' ? 'movies' : type === 'series' ? 'shows' : type;
-    const endpoint = `/${convertedType}/popular`;
-    const params = { page, limit };
+    const endpoint = chartConfig.period
+        ? `/${convertedType}/${chart}/${CHART_PERIODS.includes(period) ? period : 'weekly'}`
+        : `/${convertedType}/${chart}`;
+    const params = chartConfig.paginated ? { page, limit } : {};
     if (genre) {
         params.genres = genre;
     }
+    for (const filter of CHART_FILTERS) {
+        if (filters[filter]) {
+            params[filter] = String(filters[filter]).trim();
+        }
+    }
 
     try {
-        log.debug(`Fetching popular items for type: ${type} (converted to ${convertedType}), page: ${page}, limit: ${limit}, genre: ${genre}`);
+        log.debug(`Fetching ${chart} items for type: ${type} (converted to ${convertedType}), page: ${page}, limit: ${limit}, genre: ${genre}, period: ${period}, filters: ${JSON.stringify(filters)}`);
         const data = await fetchData(endpoint, params);
-        log.debug(`Data successfully retrieved for popular ${convertedType}: ${endpoint}`);
+        log.debug(`Data successfully retrieved for ${chart} ${convertedType}: ${endpoint}`);
         return data;
     } catch (error) {
-        log.error(`Error fetching popular ${convertedType}: ${error.message}`);
+        log.error(`Error fetching ${chart} ${convertedType}: ${error.message}`);
         throw error;
     }
 };
 
 /**
-* Fetches the access token for a given username.
+* Fetches the Trakt community rating of a movie or a show.
 * @example
-* sync('john_doe')
-* 'sample_access_token'
-* @param {string} username - The username for which to retrieve the access token.
-* @returns {string} The access token associated with the given username.
-* @description
-*   - This function interacts with a SQL database to fetch the access token.
-*   - If no access token is found, it throws an error.
-*   - Errors are logged before being thrown.
+* fetchTraktRatings('movie', 432)
+* { rating: 8.8, votes: 14721 }
+* @param {string} type - The type of content, either 'movie' or 'series'.
+* @param {number} traktId - The Trakt ID of the item.
+* @returns {Promise<Object>} The rating out of 10 and the number of votes.
 */
-const getAccessTokenForUser = async (username) => {
-    try {
-        const query = 'SELECT access_token FROM trakt_tokens WHERE username = $1';
-        const result = await pool.query(query, [username]);
-
-        if (result.rows.length === 0) {
-            throw new Error(`No access token found for user ${username}`);
-        }
+const fetchTraktRatings = async (type, traktId) => {
+    const convertedType = type === 'movie' ? 'movies' : 'shows';
+    const endpoint = `/${convertedType}/${traktId}/ratings`;
 
-        return result.rows[0].access_token;
+    try {
+        const data = await fetchData(endpoint);
+        return { rating: data.rating, votes: data.votes };
     } catch (error) {
-        log.error(`Error fetching access token for user ${username}: ${error.message}`);
+        log.error(`Error fetching Trakt ratings for ${convertedType} ${traktId}: ${error.message}`);
         throw error;
     }
 };
@@ -701,23 +1391,26 @@ const getAccessTokenForUser = async (username) => {
 * @param {string} [type='movie'] - The type of watchlist to fetch, either 'movie' or 'series'. Defaults to 'movie'.
 * @param {number} [page=1] - The page of the watchlist to fetch. Defaults to 1.
 * @param {number} [limit=20] - The number of items to fetch per page. Defaults to 20.
+* @param {string|null} [sortBy=null] - A sort Trakt applies natively (one of WATCHLIST_SORTS), or null for the user's watchlist order.
+* @param {string} [sortHow='asc'] - The direction of the sort, 'asc' or 'desc'.
 * @returns {Promise<Object>} An object containing the user's watchlist data.
 * @description
 *   - Converts the single 'type' into plural form for the API endpoint: 'movie' becomes 'movies' and 'series' becomes 'shows'.
-*   - Utilizes an access token specific to the user to authenticate the API request.
+*   - Sorted watchlists use /users/:id/watchlist/:type/:sort_by/:sort_how, so pagination follows the sorted order.
+*   - Authenticates as the user through callWithUserToken, which refreshes an expired token.
 *   - Logs the operation's progress and errors to help with debugging.
 */
-const fetchWatchlistItems = async (username, type = 'movie', page = 1, limit = 20) => {
+const fetchWatchlistItems = async (username, type = 'movie', page = 1, limit = 20, sortBy = null, sortHow = 'asc') => {
     try {
-        const accessToken = await getAccessTokenForUser(username);
-
         const convertedType = type === 'movie' ? 'movies' : type === 'series' ? 'shows' : type;
-        const endpoint = `/users/${username}/watchlist/${convertedType}`;
+        const endpoint = WATCHLIST_SORTS.includes(sortBy)
+            ? `/users/${username}/watchlist/${convertedType}/${sortBy}/${sortHow === 'desc' ? 'desc' : 'asc'}`
+            : `/users/${username}/watchlist/${convertedType}`;
         const params = { page, limit };
 
         log.debug(`Fetching watchlist items for user: ${username}, type: ${type} (converted to ${convertedType}), page: ${page}, limit: ${limit}`);
 
-        const data = await fetchData(endpoint, params, accessToken);
+        const data = await callWithUserToken(username, (accessToken) => fetchData(endpoint, params, accessToken));
 
         log.debug(`Data successfully retrieved for watchlist: ${endpoint}`);
         return data;
@@ -736,28 +1429,27 @@ const fetchWatchlistItems = async (username, type = 'movie', page = 1, limit = 2
 * @param {string} [type='movies'] - The type of recommendations to fetch, either 'movies' or 'series'. Default is 'movies'.
 * @param {boolean} [ignoreCollected=true] - Whether to exclude already collected items from recommendations. Default is true.
 * @param {boolean} [ignoreWatchlisted=true] - Whether to exclude watchlisted items from recommendations. Default is true.
+* @param {number} [limit=100] - The number of recommendations to fetch, at most 100. Default is 100.
 * @returns {Promise<object>} The recommended items data.
 * @description
 *   - Converts 'movie' to 'movies' and 'series' to 'shows' to ensure compatibility with API endpoint.
-*   - Uses an access token specific to the user for API authentication.
+*   - Authenticates as the user through callWithUserToken, which refreshes an expired token.
 *   - Logs the recommendation fetch process for debugging purposes.
 *   - Throws an error with a message if fetching fails.
 */
-const fetchRecommendations = async (username, type = 'movies', ignoreCollected = true, ignoreWatchlisted = true) => {
+const fetchRecommendations = async (username, type = 'movies', ignoreCollected = true, ignoreWatchlisted = true, limit = 100) => {
     try {
-        const accessToken = await getAccessTokenForUser(username);
-
         const convertedType = type === 'movie' ? 'movies' : type === 'series' ? 'shows' : type;
         const endpoint = `/recommendations/${convertedType}`;
         const params = {
             ignore_collected: ignoreCollected,
             ignore_watchlisted: ignoreWatchlisted,
-            limit: 100
+            limit: Math.min(Math.max(parseInt(limit, 10) || RECOMMENDATIONS_MAX_LIMIT, 1), RECOMMENDATIONS_MAX_LIMIT)
         };
 
-        log.debug(`Fetching recommendations for user: ${username}, type: ${type} (converted to ${convertedType}), limit: 100`);
+        log.debug(`Fetching recommendations for user: ${username}, type: ${type} (converted to ${convertedType}), limit: ${params.limit}`);
 
-        const data = await fetchData(endpoint, params, accessToken);
+        const data = await callWithUserToken(username, (accessToken) => fetchData(endpoint, params, accessToken));
 
         log.debug(`Data successfully retrieved for recommendations: ${endpoint}`);
         return data;
@@ -767,6 +1459,126 @@ const fetchRecommendations = async (username, type = 'movies', ignoreCollected =
     }
 };
 
+/**
+* Fetches the titles Trakt considers related to a movie or a show.
+* @example
+* fetchRelatedItems('movie', 'tt0137523', 20)
+* [{ title: 'Se7en', year: 1995, ids: { trakt: 6, imdb: 'tt0114369', tmdb: 807 } }, ...]
+* @param {string} type - The type of content, either 'movie' or 'series'.
+* @param {string|number} id - The Trakt ID, slug or IMDb ID of the item.
+* @param {number} [limit=10] - The number of related items to fetch.
+* @returns {Promise<Array<Object>>} The related movies or shows.
+*/
+const fetchRelatedItems = async (type, id, limit = 10) => {
+    const convertedType = type === 'movie' ? 'movies' : 'shows';
+    const endpoint = `/${convertedType}/${id}/related`;
+
+    try {
+        return await fetchData(endpoint, { limit });
+    } catch (error) {
+        log.error(`Error fetching related ${convertedType} for ${id}: ${error.message}`);
+        throw error;
+    }
+};
+
+/**
+* Builds the "Up Next" list of a user: shows in progress ordered by last watched, with their next episode.
+* @example
+* fetchUpNextItems('john_doe')
+* [{ show: { title: 'Severance', ids: { imdb: 'tt11280740', tmdb: 95396 } }, next_episode: { season: 2, number: 3, title: '...' }, last_watched_at: '...' }]
+* @param {string} username - The username for which to build the list.
+* @returns {Promise<Array<Object>>} The in-progress shows, most recently watched first.
+* @description
+*   - Takes the most recently watched shows from the stored history (trakt_history / trakt_episode_history).
+*   - Asks Trakt for the watched progress of each show, cached for a short time only so the list stays current.
+*   - Keeps only shows that have a next episode to watch.
+*/
+const fetchUpNextItems = async (username) => {
+    const historyResult = await pool.query(
+        `SELECT h.trakt_id, h.imdb_id, h.tmdb_id, h.title,
+                GREATEST(MAX(h.watched_at), MAX(e.watched_at)) AS last_watched_at
+         FROM trakt_history h
+         LEFT JOIN trakt_episode_history e ON e.username = h.username AND e.show_trakt_id = h.trakt_id
+         WHERE h.username = $1 AND h.type = 'show' AND h.tmdb_id IS NOT NULL
+         GROUP BY h.trakt_id, h.imdb_id, h.tmdb_id, h.title
+         ORDER BY last_watched_at DESC NULLS LAST
+         LIMIT $2`,
+        [username, UPNEXT_MAX_SHOWS]
+    );
+
+    log.debug(`Fetching watched progress of ${historyResult.rows.length} shows for user ${username}`);
+
+    const progresses = await callWithUserToken(username, (accessToken) => Promise.all(
+        historyResult.rows.map(row => fetchData(
+            `/shows/${row.trakt_id}/progress/watched`,
+            UPNEXT_PROGRESS_PARAMS,
+            accessToken,
+            UPNEXT_CACHE_DURATION
+        ).then(progress => ({ row, progress })).catch(error => {
+            if (error.response && error.response.status === 401) {
+                throw error;
+            }
+            log.warn(`Could not fetch progress of show ${row.trakt_id} for user ${username}: ${error.message}`);
+            return { row, progress: null };
+        }))
+    ));
+
+    return progresses
+        .filter(({ progress }) => progress && progress.next_episode && progress.completed < progress.aired)
+        .map(({ row, progress }) => ({
+            show: {
+                title: row.title,
+                ids: { trakt: row.trakt_id, imdb: row.imdb_id, tmdb: row.tmdb_id }
+            },
+            next_episode: progress.next_episode,
+            last_watched_at: progress.last_watched_at || row.last_watched_at
+        }))
+        .sort((a, b) => new Date(b.last_watched_at) - new Date(a.last_watched_at));
+};
+
+/**
+* Fetches the upcoming releases of the Trakt calendar, keeping one entry per show or movie.
+* @example
+* fetchCalendarItems('series', 'my', 'your_access_token')
+* [{ first_aired: '2024-10-21T01:00:00.000Z', episode: { season: 2, number: 3, title: '...' }, show: { ... } }]
+* @param {string} type - The type of calendar to fetch, either 'movie' or 'series'.
+* @param {string} [scope='all'] - 'my' for the calendar of the authenticated user, 'all' for everyone.
+* @param {string|null} [accessToken=null] - The access token of the user, required for the 'my' scope.
+* @param {string|null} [genre=null] - Optional genre slug to filter the results.
+* @returns {Promise<Array<Object>>} The upcoming items ordered by release date.
+* @description
+*   - Starts from today and covers the next CALENDAR_DAYS days.
+*   - The 'all' scope for shows covers CALENDAR_ALL_SHOWS_DAYS days only, as every show airing on Trakt makes for a very long response.
+*   - Shows are deduplicated so only their next airing episode is kept.
+*/
+const fetchCalendarItems = async (type, scope = 'all', accessToken = null, genre = null) => {
+    const convertedType = type === 'movie' ? 'movies' : type === 'series' ? 'shows' : type;
+    const days = scope === 'all' && convertedType === 'shows' ? CALENDAR_ALL_SHOWS_DAYS : CALENDAR_DAYS;
+    const startDate = new Date().toISOString().slice(0, 10);
+    const endpoint = `/calendars/${scope}/${convertedType}/${startDate}/${days}`;
+    const params = genre ? { genres: genre } : {};
+
+    try {
+        log.debug(`Fetching calendar items for type: ${type} (converted to ${convertedType}), scope: ${scope}, genre: ${genre}`);
+        const data = await fetchData(endpoint, params, accessToken);
+
+        const seen = new Set();
+        return data
+            .sort((a, b) => new Date(a.first_aired || a.released) - new Date(b.first_aired || b.released))
+            .filter(item => {
+                const media = item.show || item.movie;
+                if (!media || seen.has(media.ids.trakt)) {
+                    return false;
+                }
+                seen.add(media.ids.trakt);
+                return true;
+            });
+    } catch (error) {
+        log.error(`Error fetching ${scope} calendar for ${convertedType}: ${error.message}`);
+        throw error;
+    }
+};
+
 /**
 * Retrieves and returns genre data from a specified endpoint based on type
 * @example
@@ -813,7 +1625,7 @@ const storeGenresInDb = async (genres, mediaType) => {
         const insertGenreText = `
             INSERT INTO genres (genre_slug, genre_name, media_type)
             VALUES ($1, $2, $3)
-            ON CONFLICT DO NOTHING
+            ON CONFLICT (genre_slug, media_type) DO UPDATE SET genre_name = EXCLUDED.genre_name
         `;
       
         for (const genre of genres) {
@@ -840,8 +1652,8 @@ const storeGenresInDb = async (genres, mediaType) => {
 * @returns {Promise<void>} Promise that resolves when genres are fetched and stored.
 * @description
 *   - Fetches genres specifically for movies and shows.
-*   - Stores the fetched genres into a database, categorizing them as 'movie' or 'series'.
-*   - Logs information and error messages accordingly.
+*   - Stores the fetched genres into a database, categorizing them as 'movie' or 'series'; known genres get their new name.
+*   - Logs information and error messages accordingly, and rethrows errors.
 */
 const fetchAndStoreGenres = async () => {
     try {
@@ -854,7 +1666,8 @@ const fetchAndStoreGenres = async () => {
         log.info(`Genres fetched and stored`);
     } catch (error) {
         log.error(`Error fetching/storing genres: ${error.message}`);
+        throw error;
     }
 };
 
-module.exports = { makeGetRequest, makePostRequest, fetchUserHistory, fetchUserProfile, exchangeCodeForToken, handleTraktHistory, markContentAsWatched, lookupTraktId, saveUserWatchedHistory, fetchTrendingLists, fetchPopularLists, searchLists, fetchListById, fetchListItems, fetchTrendingItems, fetchPopularItems, fetchWatchlistItems, fetchRecommendations, fetchAndStoreGenres };
+module.exports = { makeGetRequest, makePostRequest, fetchUserHistory, fetchUserProfile, getAuthorizeUrl, exchangeCodeForToken, revokeTraktToken, handleTraktHistory, syncUserHistory, refreshUserHistory, getHistoryVersion, bumpHistoryVersion, refreshUserTokens, getTokenTimes, getHistoryFetchInterval, fetchWatchedIds, callWithUserToken, markContentAsWatched, addToLocalHistory, addEpisodeToLocalHistory, lookupTraktId, lookupIdsByImdbId, lookupIdsByTmdbId, lookupIdsByStremioId, saveUserWatchedHistory, fetchTrendingLists, fetchPopularLists, searchLists, fetchListById, fetchUserLists, fetchLikedLists, fetchListItems, fetchChartItems, fetchTraktRatings, fetchWatchlistItems, fetchRecommendations, fetchRelatedItems, fetchUpNextItems, fetchCalendarItems, fetchAndStoreGenres, TRAKT_CHARTS, CHART_PERIODS, CHART_FILTERS, WATCHLIST_SORTS };
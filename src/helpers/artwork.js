@@ -0,0 +1,87 @@
+const log = require('./logger');
+const { getRpdbPosterUrl } = require('../api/rpdb');
+const { getFanartImages } = require('../api/fanart');
+const { getMetadataByTmdbId } = require('../api/tmdb');
+
+const POSTER_SIZES = ['w185', 'w342', 'w500', 'w780', 'original'];
+const DEFAULT_POSTER_PROVIDERS = ['rpdb', 'tmdb', 'tmdb_en'];
+
+const resizeTmdbPoster = (posterUrl, posterSize) => {
+    if (!posterUrl) return null;
+    const size = POSTER_SIZES.includes(posterSize) ? posterSize : 'w500';
+    return posterUrl.replace(/\/t\/p\/[^/]+\//, `/t/p/${size}/`);
+};
+
+/**
+* Poster providers, by name. Each provider receives the item context and returns a poster URL or a falsy value.
+* @description
+*   - rpdb: RatingPosterDB poster, only when the user has an RPDB key.
+*   - fanart: textless Fanart.tv poster, only when the user has a Fanart key.
+*   - tmdb: TMDB poster in the user's language.
+*   - tmdb_en: TMDB poster in English.
+*   - Adding a provider only requires adding an entry here.
+*/
+const POSTER_PROVIDERS = {
+    rpdb: async ({ type, ids, language, config }) => {
+        if (!config.rpdbApiKey) return null;
+        return getRpdbPosterUrl(type, ids.tmdb, language, config.rpdbApiKey);
+    },
+    fanart: async ({ type, ids, language, config }) => {
+        if (!config.fanartApiKey) return null;
+        return (await getFanartImages(type, ids, language, config.fanartApiKey)).poster;
+    },
+    tmdb: async ({ details, config }) => {
+        return resizeTmdbPoster(details && details.poster, config.posterSize);
+    },
+    tmdb_en: async ({ type, ids, config }) => {
+        const details = await getMetadataByTmdbId(ids.tmdb, type === 'movie' ? 'movie' : 'tv', config.tmdbApiKey, 'en-US');
+        return resizeTmdbPoster(details.poster, config.posterSize);
+    }
+};
+
+/**
+* Resolves the poster of an item by trying the user's poster providers in order.
+* @example
+* resolvePoster('movie', { tmdb: 550, imdb: 'tt0137523' }, config, tmdbDetails)
+* 'https://api.ratingposterdb.com/t0-abc123/tmdb/poster-default/movie-550.jpg?fallback=true'
+* @param {string} type - The type of content, either 'movie' or 'series'.
+* @param {Object} ids - The Trakt ids of the item.
+* @param {Object} config - The user configuration (artworkProviders, posterSize and API keys).
+* @param {Object} [details] - The TMDB metadata already fetched in the user's language, if any.
+* @returns {Promise<string|null>} The first poster found, or null if no provider has one.
+* @description
+*   - The order comes from config.artworkProviders and defaults to RPDB, then TMDB in the user's language, then TMDB in English.
+*   - A failing provider is logged and skipped, so each item falls back to the next provider on its own.
+*   - config.posterSize applies to TMDB posters (w185, w342, w500, w780 or original).
+*/
+const resolvePoster = async (type, ids, config, details = null) => {
+    const language = config.language || 'en-US';
+    const providers = Array.isArray(config.artworkProviders) && config.artworkProviders.length
+        ? config.artworkProviders
+        : DEFAULT_POSTER_PROVIDERS;
+
+    for (const name of providers) {
+        const provider = Object.prototype.hasOwnProperty.call(POSTER_PROVIDERS, name) ? POSTER_PROVIDERS[name] : null;
+        if (!provider) {
+            log.warn(`Unknown poster provider '${name}'`);
+            continue;
+        }
+
+        try {
+            const posterUrl = await provider({ type, ids, language, config, details });
+            if (posterUrl) {
+                return posterUrl;
+            }
+        } catch (error) {
+            log.warn(`Poster provider ${name} failed for ${type} ${ids.tmdb}: ${error.message}`);
+        }
+    }
+
+    return null;
+};
+
+module.exports = {
+    resolvePoster,
+    POSTER_PROVIDERS,
+    POSTER_SIZES
+};
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const { pool } = require('./db');
+const log = require('./logger');
+const { safeRedisCall } = require('./redis');
+const { parseCacheDuration } = require('./cache');
+const { getSession } = require('./sessions');
+
+const CONFIG_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const CONFIG_CACHE_DURATION = '1h';
+
+const generateRedisKey = (configId) => {
+    return `config:${configId}`;
+};
+
+const hashEditToken = (editToken) => {
+    return crypto.createHash('sha256').update(String(editToken)).digest('hex');
+};
+
+/**
+* Finds the Trakt session proving the username of a configuration.
+* @example
+* getConfigSession({ traktUsername: 'john_doe' }, '9c1185a5c5e9fc54612808977ee8f548b2258d31...')
+* { verified: true, sessionId: '0f8fad5b-d9cb-469f-a165-70867728950e' }
+* @param {Object} config - The configuration to check.
+* @param {string} [traktSession] - The session token handed to the configure page by the OAuth callback.
+* @returns {Promise<Object>} Whether the username is proven, and the id of the session to tie the configuration to.
+* @description
+*   - A configuration without username needs no session, and is not tied to one.
+*/
+const getConfigSession = async (config, traktSession) => {
+    if (!config.traktUsername) {
+        return { verified: true, sessionId: null };
+    }
+
+    const session = await getSession(traktSession);
+    if (!session || session.username !== config.traktUsername) {
+        return { verified: false, sessionId: null };
+    }
+
+    return { verified: true, sessionId: session.id };
+};
+
+/**
+* Stores a new configuration server-side and returns its opaque id with the token needed to edit it.
+* @example
+* createStoredConfig({ tmdbApiKey: 'abc', toggles: { trending: true } })
+* { id: '0f8fad5b-d9cb-469f-a165-70867728950e', editToken: '9c1185a5c5e9fc54612808977ee8f548b2258d31...' }
+* @param {Object} config - The configuration built by the configure page.
+* @param {string|null} [sessionId=null] - The Trakt session the configuration acts for, from getConfigSession.
+* @returns {Promise<Object>} The id to use in the manifest URL and the edit token, which is only returned once.
+* @description
+*   - Only a hash of the edit token is stored, so a database dump cannot be used to edit configurations.
+*/
+const createStoredConfig = async (config, sessionId = null) => {
+    const id = crypto.randomUUID();
+    const editToken = crypto.randomBytes(32).toString('hex');
+
+    await pool.query(
+        `INSERT INTO user_configs (id, config, edit_token_hash, session_id) VALUES ($1, $2, $3, $4)`,
+        [id, config, hashEditToken(editToken), sessionId]
+    );
+
+    log.info(`Stored configuration ${id} created`);
+    return { id, editToken };
+};
+
+/**
+* Fetches a stored configuration for editing, provided the edit token matches.
+* @param {string} id - The id of the stored configuration.
+* @param {string} editToken - The edit token returned when the configuration was created.
+* @returns {Promise<Object|null>} The configuration and the id of its Trakt session, or null if it does not exist or the token does not match.
+*/
+const getStoredConfigForEdit = async (id, editToken) => {
+    const result = await pool.query(
+        `SELECT config, session_id FROM user_configs WHERE id = $1 AND edit_token_hash = $2`,
+        [id, hashEditToken(editToken)]
+    );
+
+    return result.rows.length ? { config: result.rows[0].config, sessionId: result.rows[0].session_id } : null;
+};
+
+/**
+* Replaces a stored configuration in place, provided the edit token matches.
+* @param {string} id - The id of the stored configuration.
+* @param {string} editToken - The edit token returned when the configuration was created.
+* @param {Object} config - The new configuration.
+* @param {string|null} [sessionId=null] - The Trakt session the configuration acts for, from getConfigSession.
+* @returns {Promise<boolean>} True if the configuration was updated, false if it does not exist or the token does not match.
+* @description
+*   - Drops the cached copy so catalogs pick up the change on their next request.
+*/
+const updateStoredConfig = async (id, editToken, config, sessionId = null) => {
+    const result = await pool.query(
+        `UPDATE user_configs SET config = $1, session_id = $2, updated_at = NOW() WHERE id = $3 AND edit_token_hash = $4`,
+        [config, sessionId, id, hashEditToken(editToken)]
+    );
+
+    if (result.rowCount === 0) {
+        return false;
+    }
+
+    await safeRedisCall('del', generateRedisKey(id));
+    log.info(`Stored configuration ${id} updated`);
+    return true;
+};
+
+/**
+* Drops the Trakt username of a configuration that does not prove it, and flags the configuration so its personal catalogs ask for a new login.
+* @example
+* withoutTraktUser({ traktUsername: 'john_doe', toggles: { watchlist: true, trending: true } })
+* { toggles: { watchlist: true, trending: true }, traktLoginRequired: true }
+* @param {Object} config - The configuration.
+* @returns {Object} A copy of the configuration without Trakt username, or the configuration itself when it has none.
+* @description
+*   - Personal catalogs stay in the manifest, but show a single "Login to Trakt again" item instead of data
+*     read for a username nobody proved, and the mark as watched stream links to the configure page.
+*/
+const withoutTraktUser = (config) => {
+    if (!config.traktUsername) {
+        return config;
+    }
+
+    const { traktUsername, ...publicConfig } = config;
+
+    return { ...publicConfig, traktLoginRequired: true };
+};
+
+/**
+* Resolves the configuration part of an addon URL into a configuration object.
+* @example
+* resolveConfig('0f8fad5b-d9cb-469f-a165-70867728950e')
+* { tmdbApiKey: 'abc', toggles: { trending: true } }
+* @param {string|undefined} configParameters - The configuration segment of the URL, already base64 decoded by the router.
+* @returns {Promise<Object>} The configuration, or an empty object when the URL has none.
+* @description
+*   - Opaque ids are looked up in the user_configs table, with a Redis cache in front of it.
+*   - Only a configuration tied to a live Trakt session acts on behalf of its user. Legacy JSON configurations, configurations
+*     stored before sessions existed and configurations whose session was ended (logout or account deletion) go through
+*     withoutTraktUser: their public catalogs keep working and their personal catalogs ask for a new login.
+*   - Anything else is treated as a legacy JSON configuration so existing install links keep working.
+*   - Throws if an id is given but no configuration is stored under it.
+*/
+const resolveConfig = async (configParameters) => {
+    if (!configParameters) {
+        return {};
+    }
+
+    if (!CONFIG_ID_REGEX.test(configParameters)) {
+        return withoutTraktUser(JSON.parse(decodeURIComponent(configParameters)));
+    }
+
+    const redisKey = generateRedisKey(configParameters);
+    const cachedConfig = await safeRedisCall('get', redisKey);
+    if (cachedConfig) {
+        log.debug(`Stored configuration ${configParameters} found in cache.`);
+        return JSON.parse(cachedConfig);
+    }
+
+    const result = await pool.query(
+        `SELECT user_configs.config, trakt_sessions.id AS active_session_id
+         FROM user_configs
+         LEFT JOIN trakt_sessions ON trakt_sessions.id = user_configs.session_id
+         WHERE user_configs.id = $1`,
+        [configParameters]
+    );
+
+    if (!result.rows.length) {
+        throw new Error(`No stored configuration found for id ${configParameters}`);
+    }
+
+    const { config: storedConfig, active_session_id: activeSessionId } = result.rows[0];
+    const config = activeSessionId ? storedConfig : withoutTraktUser(storedConfig);
+
+    await safeRedisCall('set', redisKey, JSON.stringify(config), 'EX', parseCacheDuration(CONFIG_CACHE_DURATION));
+
+    return config;
+};
+
+/**
+* Drops the cached copies of the configurations naming a Trakt user, so a logout or deletion applies at once.
+* @param {string} username - The Trakt username.
+* @returns {Promise<void>} No value is returned.
+*/
+const clearCachedConfigsOfUser = async (username) => {
+    const result = await pool.query(
+        `SELECT id FROM user_configs WHERE config->>'traktUsername' = $1`,
+        [username]
+    );
+
+    if (result.rows.length) {
+        await safeRedisCall('del', result.rows.map(row => generateRedisKey(row.id)));
+    }
+};
+
+module.exports = {
+    CONFIG_ID_REGEX,
+    getConfigSession,
+    clearCachedConfigsOfUser,
+    createStoredConfig,
+    getStoredConfigForEdit,
+    updateStoredConfig,
+    resolveConfig
+};
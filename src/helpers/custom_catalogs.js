@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const log = require('./logger');
+const { safeRedisCall } = require('./redis');
+const { parseCacheDuration } = require('./cache');
+const { fetchWatchlistItems, fetchListItems, fetchRecommendations, callWithUserToken, fetchWatchedIds } = require('../api/trakt');
+const { getMetadataByTmdbId } = require('../api/tmdb');
+const { fetchRatings, getRatingSource } = require('./ratings');
+const { getStremioId } = require('./ids');
+const { getMedia, sortEntries } = require('./sorting');
+
+const SOURCE_LIMIT = 500;
+const CUSTOM_CATALOG_CACHE_DURATION = '1h';
+
+/**
+* Fetches every item of one source of a custom catalog rule.
+* @example
+* fetchSourceItems({ source: 'list', id: 123 }, 'movie', config)
+* [{ movie: { title: 'Alien', ids: { trakt: 1, imdb: 'tt0078748', tmdb: 348 } } }, ...]
+* @param {Object} source - The source definition: { source: 'watchlist' | 'recommendations' | 'list', id? }.
+* @param {string} type - The type of the catalog, either 'movie' or 'series'.
+* @param {Object} config - The user configuration, used for the Trakt username and list privacy.
+* @returns {Promise<Array<Object>>} The items of the source matching the catalog type.
+*/
+const fetchSourceItems = async (source, type, config) => {
+    const traktUsername = config.traktUsername;
+    const mediaKey = type === 'movie' ? 'movie' : 'show';
+
+    switch (source.source) {
+        case 'watchlist':
+            return fetchWatchlistItems(traktUsername, type, 1, SOURCE_LIMIT);
+        case 'recommendations':
+            return fetchRecommendations(traktUsername, type, true, false);
+        case 'list': {
+            const listConfig = (config.traktLists || []).find(list => String(list.id) === String(source.id)) || {};
+            const isPrivate = listConfig.privacy && listConfig.privacy !== 'public';
+            const fetchItems = (accessToken = null) => fetchListItems(source.id, type, 1, SOURCE_LIMIT, null, 'asc', accessToken, isPrivate ? listConfig.username : null);
+            const items = isPrivate ? await callWithUserToken(traktUsername, fetchItems) : await fetchItems();
+            return items.filter(item => item[mediaKey]);
+        }
+        default:
+            throw new Error(`Unknown custom catalog source '${source.source}'`);
+    }
+};
+
+/**
+* Fetches several sources and returns them as maps of Trakt ID to item, one map per source.
+* @param {Array<Object>} sources - The source definitions.
+* @param {string} type - The type of the catalog, either 'movie' or 'series'.
+* @param {Object} config - The user configuration.
+* @returns {Promise<Array<Map>>} One map per source, keyed by Trakt ID, in source order.
+*/
+const fetchSourceMaps = async (sources = [], type, config) => {
+    const results = await Promise.all(sources.map(source => fetchSourceItems(source, type, config)));
+
+    return results.map(items => {
+        const itemsById = new Map();
+        for (const item of items) {
+            const media = getMedia(item);
+            if (media && media.ids && !itemsById.has(media.ids.trakt)) {
+                itemsById.set(media.ids.trakt, item);
+            }
+        }
+        return itemsById;
+    });
+};
+
+/**
+* Checks a TMDB metadata object and a rating against the filters of a custom catalog rule.
+* @param {Object} details - The metadata returned by getMetadataByTmdbId.
+* @param {number|null} rating - The rating of the item from the user's rating source.
+* @param {Object} filters - The filters: { genre, minRating, years }.
+* @returns {boolean} True if the item passes every filter.
+*/
+const matchesFilters = (details, rating, filters = {}) => {
+    if (filters.genre) {
+        const genre = String(filters.genre).toLowerCase();
+        if (!details.genres.some(name => name.toLowerCase() === genre)) {
+            return false;
+        }
+    }
+
+    if (filters.minRating && (!rating || rating < parseFloat(filters.minRating))) {
+        return false;
+    }
+
+    if (filters.years) {
+        const [from, to = from] = String(filters.years).split('-').map(year => parseInt(year, 10));
+        const year = parseInt(details.releaseDate, 10);
+        if (!year || year < from || year > to) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+/**
+* Evaluates a custom catalog rule into the ordered list of its items.
+* @example
+* evaluateCustomCatalog({ id: 'horror', type: 'movie', include: [{ source: 'watchlist' }, { source: 'list', id: 123 }], excludeWatched: true, filters: { genre: 'Horror' }, sortBy: 'rating', sortHow: 'desc' }, config)
+* [{ movie: { ... } }, ...]
+* @param {Object} rule - The custom catalog rule from the configuration.
+* @param {Object} config - The user configuration (Trakt username, TMDB key, language, lists).
+* @returns {Promise<Array<Object>>} The items of the catalog, filtered and sorted, ready to be paginated.
+* @description
+*   - Takes the union of the `include` sources, keeps only items also present in every `intersect` source and removes items of the `exclude` sources.
+*   - With `excludeWatched`, removes every item present in the user's trakt_history.
+*   - Filters (genre, minRating, years) use TMDB metadata in the user's language and the user's rating source; sorting uses sortEntries, like every other catalog. Without sortBy, source order is kept.
+*   - The evaluated list is cached in Redis so paginating through the catalog does not evaluate the rule again.
+*/
+const evaluateCustomCatalog = async (rule, config) => {
+    const language = config.language || 'en-US';
+    const ruleHash = crypto.createHash('sha256').update(JSON.stringify({ rule, traktUsername: config.traktUsername, language, fallbackLanguages: config.fallbackLanguages, ratingSource: getRatingSource(config) })).digest('hex');
+    const redisKey = `custom:${ruleHash}`;
+
+    const cachedItems = await safeRedisCall('get', redisKey);
+    if (cachedItems) {
+        log.debug(`Custom catalog ${rule.id} found in cache.`);
+        return JSON.parse(cachedItems);
+    }
+
+    const [includeMaps, intersectMaps, excludeMaps] = await Promise.all([
+        fetchSourceMaps(rule.include, rule.type, config),
+        fetchSourceMaps(rule.intersect, rule.type, config),
+        fetchSourceMaps(rule.exclude, rule.type, config)
+    ]);
+
+    let items = [];
+    const seen = new Set();
+    for (const itemsById of includeMaps) {
+        for (const [traktId, item] of itemsById) {
+            if (seen.has(traktId)) continue;
+            seen.add(traktId);
+
+            if (intersectMaps.some(map => !map.has(traktId))) continue;
+            if (excludeMaps.some(map => map.has(traktId))) continue;
+
+            items.push(item);
+        }
+    }
+
+    if (rule.excludeWatched && config.traktUsername) {
+        const watchedIds = await fetchWatchedIds(config.traktUsername, rule.type);
+        items = items.filter(item => !watchedIds.has(getStremioId(getMedia(item).ids)));
+    }
+
+    if (rule.filters || rule.sortBy) {
+        const tmdbType = rule.type === 'movie' ? 'movie' : 'tv';
+        const needsRatings = (rule.filters && rule.filters.minRating) || rule.sortBy === 'rating';
+        const ratings = needsRatings
+            ? await fetchRatings(items.map(item => ({ media: getMedia(item), mediaType: rule.type })), config)
+            : [];
+
+        const detailedItems = await Promise.all(items.map(async (item, index) => {
+            const media = getMedia(item);
+            if (!media.ids.tmdb) return null;
+            try {
+                const details = await getMetadataByTmdbId(media.ids.tmdb, tmdbType, config.tmdbApiKey, language, config.fallbackLanguages);
+                return { item, index, details, rating: ratings[index] ? ratings[index].rating : null };
+            } catch (error) {
+                log.warn(`Skipping ${media.title} in custom catalog ${rule.id}: ${error.message}`);
+                return null;
+            }
+        }));
+
+        const filteredEntries = detailedItems.filter(entry => entry && matchesFilters(entry.details, entry.rating, rule.filters));
+        const sortedEntries = rule.sortBy
+            ? sortEntries(filteredEntries, rule.sortBy, rule.sortHow || 'asc', `custom:${rule.id}`)
+            : filteredEntries;
+
+        items = sortedEntries.map(entry => entry.item);
+    }
+
+    await safeRedisCall('set', redisKey, JSON.stringify(items), 'EX', parseCacheDuration(CUSTOM_CATALOG_CACHE_DURATION));
+    log.debug(`Custom catalog ${rule.id} evaluated with ${items.length} items.`);
+
+    return items;
+};
+
+module.exports = {
+    evaluateCustomCatalog
+};
@@ -0,0 +1,47 @@
+const ID_PREFIXES = ['tt', 'tmdb:', 'trakt:'];
+
+/**
+* Builds the Stremio ID of a movie or show from its Trakt ids.
+* @example
+* getStremioId({ trakt: 432, imdb: 'tt0137523', tmdb: 550 })
+* 'tt0137523'
+* getStremioId({ trakt: 1187201, imdb: null, tmdb: 1100099 })
+* 'tmdb:1100099'
+* @param {Object} ids - The ids of the item, as returned by Trakt.
+* @returns {string|null} The IMDb ID when known, otherwise 'tmdb:<id>', otherwise 'trakt:<id>'.
+*/
+const getStremioId = (ids) => {
+    if (!ids) return null;
+    if (ids.imdb) return ids.imdb;
+    if (ids.tmdb) return `tmdb:${ids.tmdb}`;
+    if (ids.trakt) return `trakt:${ids.trakt}`;
+    return null;
+};
+
+/**
+* Parses a Stremio ID built by getStremioId, optionally followed by a season and an episode.
+* @example
+* parseStremioId('tmdb:1399:1:2')
+* { source: 'tmdb', value: '1399', baseId: 'tmdb:1399', season: 1, episode: 2 }
+* @param {string} id - The Stremio ID, e.g. 'tt0944947', 'tt0944947:1:2', 'tmdb:1399' or 'trakt:1390:1:2'.
+* @returns {Object} The source ('imdb', 'tmdb' or 'trakt') and value of the ID, the ID without episode, and the season and episode if any.
+*/
+const parseStremioId = (id) => {
+    const parts = id.split(':');
+    const hasPrefix = parts[0] === 'tmdb' || parts[0] === 'trakt';
+    const [value, season, episode] = hasPrefix ? parts.slice(1) : parts;
+
+    return {
+        source: hasPrefix ? parts[0] : 'imdb',
+        value,
+        baseId: hasPrefix ? `${parts[0]}:${value}` : value,
+        season: season !== undefined ? parseInt(season, 10) : null,
+        episode: episode !== undefined ? parseInt(episode, 10) : null
+    };
+};
+
+module.exports = {
+    ID_PREFIXES,
+    getStremioId,
+    parseStremioId
+};
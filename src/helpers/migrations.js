@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./db');
+const log = require('./logger');
+
+const MIGRATIONS_DIRECTORY = path.join(__dirname, '../migrations');
+const MIGRATION_FILE_REGEX = /^(\d+)_([a-z0-9_]+)\.sql$/;
+const MIGRATIONS_LOCK_ID = 727274;
+
+/**
+* Lists the migration files, in the order they must be applied.
+* @example
+* loadMigrations()
+* [{ version: 1, name: 'initial_schema', file: '/usr/src/app/src/migrations/001_initial_schema.sql' }, ...]
+* @returns {Array<Object>} The migrations: { version, name, file }.
+* @description
+*   - Migrations are the files of src/migrations named '<version>_<name>.sql', e.g. '004_token_expiry.sql'.
+*   - Throws if two files share a version.
+*/
+const loadMigrations = () => {
+    const migrations = fs.readdirSync(MIGRATIONS_DIRECTORY)
+        .map(fileName => fileName.match(MIGRATION_FILE_REGEX))
+        .filter(Boolean)
+        .map(([fileName, version, name]) => ({ version: parseInt(version, 10), name, file: path.join(MIGRATIONS_DIRECTORY, fileName) }))
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new Error(`Two migrations share version ${migration.version}`);
+        }
+    });
+
+    return migrations;
+};
+
+const ensureMigrationsTable = async (client) => {
+    await client.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TIMESTAMP DEFAULT NOW()
+        )`
+    );
+};
+
+/**
+* Returns every migration with the date it was applied.
+* @example
+* getMigrationsStatus()
+* [{ version: 1, name: 'initial_schema', appliedAt: 2024-10-19T08:00:00.000Z }, { version: 4, name: 'token_expiry', appliedAt: null }]
+* @returns {Promise<Array<Object>>} The migrations: { version, name, appliedAt }, appliedAt being null for pending ones.
+*/
+const getMigrationsStatus = async () => {
+    await ensureMigrationsTable(pool);
+    const result = await pool.query(`SELECT version, applied_at FROM schema_migrations`);
+    const appliedAt = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+    return loadMigrations().map(({ version, name }) => ({
+        version,
+        name,
+        appliedAt: appliedAt.get(version) || null
+    }));
+};
+
+/**
+* Applies the pending migrations, in order.
+* @example
+* runMigrations()
+* [{ version: 4, name: 'token_expiry' }]
+* @returns {Promise<Array<Object>>} The migrations that were applied.
+* @description
+*   - Each migration runs in its own transaction with its entry in schema_migrations, so a failing migration leaves no trace
+*     and the next run starts again from it.
+*   - An advisory lock makes instances started together apply migrations one after the other.
+*   - Errors are logged and thrown.
+*/
+const runMigrations = async () => {
+    const client = await pool.connect();
+    const applied = [];
+
+    try {
+        await client.query(`SELECT pg_advisory_lock($1)`, [MIGRATIONS_LOCK_ID]);
+        await ensureMigrationsTable(client);
+
+        const result = await client.query(`SELECT version FROM schema_migrations`);
+        const appliedVersions = new Set(result.rows.map(row => row.version));
+
+        for (const migration of loadMigrations()) {
+            if (appliedVersions.has(migration.version)) {
+                continue;
+            }
+
+            log.info(`Applying migration ${migration.version} (${migration.name})`);
+            try {
+                await client.query('BEGIN');
+                await client.query(fs.readFileSync(migration.file, 'utf8'));
+                await client.query(
+                    `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+                    [migration.version, migration.name]
+                );
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                log.error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+                throw error;
+            }
+            applied.push({ version: migration.version, name: migration.name });
+        }
+    } finally {
+        await client.query(`SELECT pg_advisory_unlock($1)`, [MIGRATIONS_LOCK_ID]).catch(() => {});
+        client.release();
+    }
+
+    return applied;
+};
+
+/**
+* Makes sure the database schema is up to date before it is used.
+* @returns {Promise<void>} Resolves if every migration is applied.
+* @description
+*   - Throws, listing the pending migrations, otherwise: run `npm run migrate` first.
+*/
+const assertMigrationsApplied = async () => {
+    const pending = (await getMigrationsStatus()).filter(migration => !migration.appliedAt);
+
+    if (pending.length) {
+        throw new Error(`Pending database migrations: ${pending.map(migration => `${migration.version} (${migration.name})`).join(', ')}. Run 'npm run migrate' first.`);
+    }
+};
+
+module.exports = {
+    loadMigrations,
+    getMigrationsStatus,
+    runMigrations,
+    assertMigrationsApplied
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { signValue, verifySignature } = require('./signature');
+
+const OAUTH_COOKIE_NAME = 'trakt_oauth';
+const OAUTH_FLOW_TTL_MS = 10 * 60 * 1000;
+
+const signState = (nonce) => {
+    return `${nonce}.${signValue(`oauth_state:${nonce}`)}`;
+};
+
+/**
+* Starts a Trakt login: a state nonce bound to the browser, and a PKCE verifier.
+* @example
+* startOAuthFlow('0f8fad5b-d9cb-469f-a165-70867728950e')
+* { state: '5f2b...c1.9a0e...', codeChallenge: 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM', cookie: 'eyJub25jZSI6...' }
+* @param {string|null} [configId=null] - The stored configuration being edited, to come back to after login.
+* @returns {Object} The signed state and the code challenge to send to Trakt, and the cookie to set on the browser.
+* @description
+*   - The cookie holds the nonce, the PKCE verifier and the configuration id, signed with the addon secret,
+*     so the callback needs no server-side storage and works across instances.
+*/
+const startOAuthFlow = (configId = null) => {
+    const nonce = crypto.randomBytes(24).toString('base64url');
+    const codeVerifier = crypto.randomBytes(48).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    const payload = Buffer.from(JSON.stringify({ nonce, codeVerifier, configId, issuedAt: Date.now() })).toString('base64url');
+
+    return {
+        state: signState(nonce),
+        codeChallenge,
+        cookie: `${payload}.${signValue(`oauth_flow:${payload}`)}`
+    };
+};
+
+/**
+* Checks that a callback belongs to a login started by this browser, and returns what the login needs to finish.
+* @example
+* verifyOAuthFlow('5f2b...c1.9a0e...', 'eyJub25jZSI6...')
+* { codeVerifier: 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk', configId: '0f8fad5b-d9cb-469f-a165-70867728950e' }
+* @param {string} [state] - The state sent back by Trakt.
+* @param {string} [cookie] - The cookie set by startOAuthFlow.
+* @returns {Object|null} The PKCE verifier and configuration id, or null if the state is forged, expired or from another browser.
+*/
+const verifyOAuthFlow = (state, cookie) => {
+    if (!state || !cookie) {
+        return null;
+    }
+
+    const [payload, payloadSignature] = String(cookie).split('.');
+    if (!verifySignature(`oauth_flow:${payload}`, payloadSignature)) {
+        return null;
+    }
+
+    let flow;
+    try {
+        flow = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (err) {
+        return null;
+    }
+
+    const [nonce, stateSignature] = String(state).split('.');
+    if (nonce !== flow.nonce || !verifySignature(`oauth_state:${nonce}`, stateSignature)) {
+        return null;
+    }
+
+    if (Date.now() - flow.issuedAt > OAUTH_FLOW_TTL_MS) {
+        return null;
+    }
+
+    return { codeVerifier: flow.codeVerifier, configId: flow.configId };
+};
+
+/**
+* Reads a cookie from a request, the addon having no cookie parser.
+* @param {Object} req - The Express request.
+* @param {string} name - The name of the cookie.
+* @returns {string|null} The value of the cookie, or null if it is not set.
+*/
+const readCookie = (req, name) => {
+    const cookies = (req.headers.cookie || '').split(';');
+    for (const cookie of cookies) {
+        const separator = cookie.indexOf('=');
+        if (separator !== -1 && cookie.slice(0, separator).trim() === name) {
+            return decodeURIComponent(cookie.slice(separator + 1).trim());
+        }
+    }
+    return null;
+};
+
+module.exports = {
+    OAUTH_COOKIE_NAME,
+    OAUTH_FLOW_TTL_MS,
+    startOAuthFlow,
+    verifyOAuthFlow,
+    readCookie
+};
@@ -0,0 +1,95 @@
+const { pool } = require('./db');
+const log = require('./logger');
+const { fetchTraktRatings } = require('../api/trakt');
+const { getMetadataByTmdbId } = require('../api/tmdb');
+
+const RATING_SOURCES = ['imdb', 'trakt', 'tmdb'];
+const DEFAULT_RATING_SOURCE = 'imdb';
+
+const getRatingSource = (config) => {
+    return RATING_SOURCES.includes(config.ratingSource) ? config.ratingSource : DEFAULT_RATING_SOURCE;
+};
+
+/**
+* Reads IMDb ratings imported from title.ratings.tsv for several titles at once.
+* @param {Array<string>} imdbIds - The IMDb IDs to look up.
+* @returns {Promise<Map>} The ratings keyed by IMDb ID: { rating, votes }.
+*/
+const fetchImdbRatings = async (imdbIds) => {
+    const ratings = new Map();
+    if (!imdbIds.length) {
+        return ratings;
+    }
+
+    const result = await pool.query(
+        `SELECT imdb_id, average_rating, num_votes FROM imdb_ratings WHERE imdb_id = ANY($1)`,
+        [imdbIds]
+    );
+
+    for (const row of result.rows) {
+        ratings.set(row.imdb_id, { rating: parseFloat(row.average_rating), votes: row.num_votes });
+    }
+    return ratings;
+};
+
+/**
+* Fetches the ratings of several items from the rating source chosen by the user.
+* @example
+* fetchRatings([{ media: { ids: { imdb: 'tt0137523', tmdb: 550, trakt: 432 } }, mediaType: 'movie' }], config)
+* [{ rating: 8.8, votes: 2400000 }]
+* @param {Array<Object|null>} entries - The items as { media, mediaType }, media being a Trakt movie or show.
+* @param {Object} config - The user configuration (ratingSource, TMDB key and languages).
+* @returns {Promise<Array<Object|null>>} One { rating, votes } per entry, in the same order, or null when unknown.
+* @description
+*   - imdb: ratings imported into the imdb_ratings table by `npm run import-imdb-ratings`, read in a single query.
+*   - trakt: the Trakt community rating of each item, cached like any Trakt request.
+*   - tmdb: TMDB vote average and vote count, from the cached TMDB metadata.
+*   - Defaults to IMDb; an item missing from the chosen source has no rating rather than one from another source.
+*/
+const fetchRatings = async (entries, config) => {
+    const source = getRatingSource(config);
+
+    if (source === 'imdb') {
+        const imdbIds = entries.filter(entry => entry && entry.media.ids && entry.media.ids.imdb).map(entry => entry.media.ids.imdb);
+        const ratings = await fetchImdbRatings([...new Set(imdbIds)]);
+        return entries.map(entry => (entry && entry.media.ids && ratings.get(entry.media.ids.imdb)) || null);
+    }
+
+    return Promise.all(entries.map(async (entry) => {
+        if (!entry || !entry.media.ids) {
+            return null;
+        }
+
+        const { media, mediaType } = entry;
+        try {
+            if (source === 'trakt') {
+                return media.ids.trakt ? await fetchTraktRatings(mediaType, media.ids.trakt) : null;
+            }
+
+            if (!media.ids.tmdb) {
+                return null;
+            }
+            const details = await getMetadataByTmdbId(media.ids.tmdb, mediaType === 'movie' ? 'movie' : 'tv', config.tmdbApiKey, config.language || 'en-US', config.fallbackLanguages);
+            return details.tmdbRating ? { rating: parseFloat(details.tmdbRating), votes: details.tmdbVotes } : null;
+        } catch (error) {
+            log.warn(`No ${source} rating for ${media.title}: ${error.message}`);
+            return null;
+        }
+    }));
+};
+
+/**
+* Formats a rating for the imdbRating field of a Stremio meta.
+* @param {Object|null} rating - A rating returned by fetchRatings.
+* @returns {string|null} The rating with one decimal, or null.
+*/
+const formatRating = (rating) => {
+    return rating && rating.rating ? rating.rating.toFixed(1) : null;
+};
+
+module.exports = {
+    fetchRatings,
+    formatRating,
+    getRatingSource,
+    RATING_SOURCES
+};
@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const { pool } = require('./db');
+const log = require('./logger');
+const { safeRedisCall } = require('./redis');
+const { parseCacheDuration } = require('./cache');
+const { fetchRelatedItems, lookupIdsByTmdbId, syncUserHistory, getHistoryVersion } = require('../api/trakt');
+const { fetchTmdbRecommendations } = require('../api/tmdb');
+
+const RELATED_SEED_COUNT = 5;
+const RELATED_PER_SOURCE = 20;
+const RELATED_CATALOG_LIMIT = 60;
+const RELATED_CACHE_DURATION = '1d';
+
+/**
+* Returns the most recently watched titles of a user, used as seeds of the "Because you watched" catalogs.
+* @example
+* fetchRelatedSeeds('john_doe', 'movie')
+* [{ trakt_id: 432, tmdb_id: 550, title: 'Fight Club' }, ...]
+* @param {string} username - The Trakt username.
+* @param {string} type - The type of the catalog, either 'movie' or 'series'.
+* @param {number} [seedCount=RELATED_SEED_COUNT] - The number of seeds.
+* @returns {Promise<Array<Object>>} The seeds, most recently watched first.
+*/
+const fetchRelatedSeeds = async (username, type, seedCount = RELATED_SEED_COUNT) => {
+    const result = await pool.query(
+        `SELECT trakt_id, tmdb_id, title, MAX(watched_at) AS last_watched_at
+         FROM trakt_history
+         WHERE username = $1 AND type = $2 AND tmdb_id IS NOT NULL
+         GROUP BY trakt_id, tmdb_id, title
+         ORDER BY last_watched_at DESC
+         LIMIT $3`,
+        [username, type === 'movie' ? 'movie' : 'show', seedCount]
+    );
+    return result.rows;
+};
+
+/**
+* Returns the seeds of fetchRelatedSeeds, cached until the history of the user is refreshed.
+* @example
+* getRelatedSeeds('john_doe', 'movie')
+* [{ trakt_id: 432, tmdb_id: 550, title: 'Fight Club' }, ...]
+* @param {string} username - The Trakt username.
+* @param {string} type - The type of the catalog, either 'movie' or 'series'.
+* @returns {Promise<Array<Object>>} The seeds, most recently watched first.
+* @description
+*   - Lets the manifest list the per seed catalogs without querying the database on every request.
+*/
+const getRelatedSeeds = async (username, type) => {
+    const redisKey = `related:${username}:${await getHistoryVersion(username)}:seeds:${type}`;
+
+    const cachedSeeds = await safeRedisCall('get', redisKey);
+    if (cachedSeeds) {
+        return JSON.parse(cachedSeeds);
+    }
+
+    const seeds = await fetchRelatedSeeds(username, type);
+    await safeRedisCall('set', redisKey, JSON.stringify(seeds), 'EX', parseCacheDuration(RELATED_CACHE_DURATION));
+
+    return seeds;
+};
+
+/**
+* Scores the titles related to one seed, from Trakt related titles and TMDB recommendations.
+* @param {Object} seed - A seed returned by fetchRelatedSeeds.
+* @param {string} type - The type of the catalog, either 'movie' or 'series'.
+* @param {Object} config - The user configuration (TMDB key and language).
+* @returns {Promise<Map>} The candidates keyed by TMDB ID: { score, item }, item being a Trakt movie or show when known.
+* @description
+*   - Each source gives a title a score between 0 and 1 depending on its position, and the scores of both sources add up.
+*   - A failing source is logged and ignored.
+*/
+const scoreSeed = async (seed, type, config) => {
+    const [traktItems, tmdbItems] = await Promise.all([
+        fetchRelatedItems(type, seed.trakt_id, RELATED_PER_SOURCE).catch(error => {
+            log.warn(`No Trakt related titles for ${seed.title}: ${error.message}`);
+            return [];
+        }),
+        config.tmdbApiKey
+            ? fetchTmdbRecommendations(seed.tmdb_id, type === 'movie' ? 'movie' : 'tv', config.tmdbApiKey, config.language || 'en-US').catch(error => {
+                log.warn(`No TMDB recommendations for ${seed.title}: ${error.message}`);
+                return [];
+            })
+            : []
+    ]);
+
+    const candidates = new Map();
+    const addCandidate = (tmdbId, score, item = null) => {
+        if (!tmdbId) return;
+        const candidate = candidates.get(tmdbId) || { score: 0, item: null };
+        candidate.score += score;
+        candidate.item = candidate.item || item;
+        candidates.set(tmdbId, candidate);
+    };
+
+    traktItems.forEach((item, position) => addCandidate(item.ids && item.ids.tmdb, 1 - position / traktItems.length, item));
+    tmdbItems.slice(0, RELATED_PER_SOURCE).forEach((result, position) => addCandidate(result.id, 1 - position / Math.min(tmdbItems.length, RELATED_PER_SOURCE)));
+
+    return candidates;
+};
+
+/**
+* Turns scored candidates into Trakt items, best first, leaving out watched titles.
+* @param {Map} candidates - The candidates from scoreSeed, possibly merged across seeds.
+* @param {Set<number>} watchedTmdbIds - The TMDB IDs the user has already watched.
+* @param {string} type - The type of the catalog, either 'movie' or 'series'.
+* @param {number} [limit=RELATED_CATALOG_LIMIT] - The maximum number of items.
+* @returns {Promise<Array<Object>>} At most `limit` Trakt movies or shows.
+* @description
+*   - Titles only known from TMDB are resolved to Trakt ids, so they can be shown like any other catalog item.
+*/
+const rankCandidates = async (candidates, watchedTmdbIds, type, limit = RELATED_CATALOG_LIMIT) => {
+    const ranked = [...candidates.entries()]
+        .filter(([tmdbId]) => !watchedTmdbIds.has(Number(tmdbId)))
+        .sort((a, b) => b[1].score - a[1].score)
+        .slice(0, limit);
+
+    const items = await Promise.all(ranked.map(async ([tmdbId, candidate]) => {
+        if (candidate.item) return candidate.item;
+        try {
+            return await lookupIdsByTmdbId(tmdbId, type);
+        } catch (error) {
+            log.warn(`Could not resolve TMDB ID ${tmdbId} on Trakt: ${error.message}`);
+            return null;
+        }
+    }));
+
+    return items.filter(item => item && item.ids && item.ids.tmdb);
+};
+
+/**
+* Scores the related titles of several seeds, and merges them into one set of candidates.
+* @param {Array<Object>} seeds - The seeds, most recently watched first.
+* @param {string} type - The type of the catalog, either 'movie' or 'series'.
+* @param {Object} config - The user configuration (TMDB key and language).
+* @returns {Promise<Object>} { seedCandidates, blendedCandidates }: the candidates of each seed, and of all seeds, more recent seeds weighing more.
+*/
+const scoreSeeds = async (seeds, type, config) => {
+    const seedCandidates = await Promise.all(seeds.map(seed => scoreSeed(seed, type, config)));
+
+    const blendedCandidates = new Map();
+    seedCandidates.forEach((candidates, seedIndex) => {
+        const weight = (seeds.length - seedIndex) / seeds.length;
+        for (const [tmdbId, candidate] of candidates) {
+            const blended = blendedCandidates.get(tmdbId) || { score: 0, item: null };
+            blended.score += candidate.score * weight;
+            blended.item = blended.item || candidate.item;
+            blendedCandidates.set(tmdbId, blended);
+        }
+    });
+
+    return { seedCandidates, blendedCandidates };
+};
+
+const fetchWatchedTmdbIds = async (username, type) => {
+    const result = await pool.query(
+        `SELECT tmdb_id FROM trakt_history WHERE username = $1 AND type = $2 AND tmdb_id IS NOT NULL`,
+        [username, type === 'movie' ? 'movie' : 'show']
+    );
+    return new Set(result.rows.map(row => Number(row.tmdb_id)));
+};
+
+const getConfigHash = (config) => {
+    return crypto.createHash('sha256').update(JSON.stringify({ language: config.language || 'en-US', fallbackLanguages: config.fallbackLanguages, tmdbApiKey: config.tmdbApiKey })).digest('hex');
+};
+
+/**
+* Builds, or reads from cache, the "Because you watched" catalogs of a user for one type.
+* @example
+* getRelatedCatalogs('john_doe', 'movie', config)
+* { seeds: [{ tmdbId: 550, title: 'Fight Club', items: [...] }], blended: [...] }
+* @param {string} username - The Trakt username.
+* @param {string} type - The type of the catalogs, either 'movie' or 'series'.
+* @param {Object} config - The user configuration (TMDB key and language).
+* @returns {Promise<Object>} One catalog per seed and a blended catalog.
+* @description
+*   - Refreshes the stored history first; seeds are the last watched titles from trakt_history.
+*   - Related titles of the seeds are merged, scored and stripped of watched titles.
+*   - In the blended catalog, more recent seeds weigh more.
+*   - Cached in Redis per user, language and TMDB key; the history version retires the cache whenever the history changes, so the catalogs follow new watches.
+*/
+const getRelatedCatalogs = async (username, type, config) => {
+    await syncUserHistory(username);
+
+    const redisKey = `related:${username}:${await getHistoryVersion(username)}:${type}:${getConfigHash(config)}`;
+
+    const cachedCatalogs = await safeRedisCall('get', redisKey);
+    if (cachedCatalogs) {
+        log.debug(`Related catalogs of ${username} for ${type} found in cache.`);
+        return JSON.parse(cachedCatalogs);
+    }
+
+    const seeds = await getRelatedSeeds(username, type);
+    const watchedTmdbIds = await fetchWatchedTmdbIds(username, type);
+    const { seedCandidates, blendedCandidates } = await scoreSeeds(seeds, type, config);
+
+    const catalogs = {
+        seeds: await Promise.all(seeds.map(async (seed, seedIndex) => ({
+            tmdbId: seed.tmdb_id,
+            title: seed.title,
+            items: await rankCandidates(seedCandidates[seedIndex], watchedTmdbIds, type)
+        }))),
+        blended: await rankCandidates(blendedCandidates, watchedTmdbIds, type)
+    };
+
+    await safeRedisCall('set', redisKey, JSON.stringify(catalogs), 'EX', parseCacheDuration(RELATED_CACHE_DURATION));
+    log.debug(`Related catalogs of ${username} for ${type} built from ${seeds.length} seeds.`);
+
+    return catalogs;
+};
+
+/**
+* Builds, or reads from cache, "more like my recent watches" recommendations: the blended related titles of the last watched ones.
+* @example
+* getRecentRelatedItems('john_doe', 'movie', config, 10, 100)
+* [{ title: 'Se7en', year: 1995, ids: { ... } }, ...]
+* @param {string} username - The Trakt username.
+* @param {string} type - The type of content, either 'movie' or 'series'.
+* @param {Object} config - The user configuration (TMDB key and language).
+* @param {number} [seedCount=10] - The number of last watched titles to use as seeds.
+* @param {number} [limit=100] - The maximum number of recommendations.
+* @returns {Promise<Array<Object>>} The recommended movies or shows, in the same shape as fetchRecommendations.
+* @description
+*   - Scored like the blended "Because you watched" catalog, from more seeds and with a higher limit.
+*/
+const getRecentRelatedItems = async (username, type, config, seedCount = 10, limit = 100) => {
+    await syncUserHistory(username);
+
+    const redisKey = `related:${username}:${await getHistoryVersion(username)}:recent:${type}:${seedCount}:${limit}:${getConfigHash(config)}`;
+
+    const cachedItems = await safeRedisCall('get', redisKey);
+    if (cachedItems) {
+        log.debug(`Recent related ${type} of ${username} found in cache.`);
+        return JSON.parse(cachedItems);
+    }
+
+    const seeds = await fetchRelatedSeeds(username, type, seedCount);
+    const watchedTmdbIds = await fetchWatchedTmdbIds(username, type);
+    const { blendedCandidates } = await scoreSeeds(seeds, type, config);
+    const items = await rankCandidates(blendedCandidates, watchedTmdbIds, type, limit);
+
+    await safeRedisCall('set', redisKey, JSON.stringify(items), 'EX', parseCacheDuration(RELATED_CACHE_DURATION));
+    log.debug(`Recent related ${type} of ${username} built from ${seeds.length} seeds.`);
+
+    return items;
+};
+
+module.exports = {
+    getRelatedSeeds,
+    getRelatedCatalogs,
+    getRecentRelatedItems
+};
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { pool } = require('./db');
+const log = require('./logger');
+
+const hashSessionToken = (token) => {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+* Opens a session for a Trakt user who just logged in through OAuth.
+* @example
+* createSession('john_doe')
+* { id: '0f8fad5b-d9cb-469f-a165-70867728950e', token: '9c1185a5c5e9fc54612808977ee8f548b2258d31...' }
+* @param {string} username - The Trakt username proven by the OAuth callback.
+* @returns {Promise<Object>} The id of the session and its token, which is only returned once.
+* @description
+*   - Only a hash of the token is stored, like edit tokens of stored configurations.
+*/
+const createSession = async (username) => {
+    const id = crypto.randomUUID();
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await pool.query(
+        `INSERT INTO trakt_sessions (id, username, token_hash) VALUES ($1, $2, $3)`,
+        [id, username, hashSessionToken(token)]
+    );
+
+    log.info(`Session ${id} opened for user ${username}`);
+    return { id, token };
+};
+
+/**
+* Finds the session a token belongs to.
+* @example
+* getSession('9c1185a5c5e9fc54612808977ee8f548b2258d31...')
+* { id: '0f8fad5b-d9cb-469f-a165-70867728950e', username: 'john_doe' }
+* @param {string} [token] - The session token given to the configure page by the OAuth callback.
+* @returns {Promise<Object|null>} The session, or null if the token is missing or the session was ended.
+*/
+const getSession = async (token) => {
+    if (!token) {
+        return null;
+    }
+
+    const result = await pool.query(
+        `UPDATE trakt_sessions SET last_used_at = NOW() WHERE token_hash = $1 RETURNING id, username`,
+        [hashSessionToken(token)]
+    );
+
+    return result.rows[0] || null;
+};
+
+/**
+* Ends every session of a user, so no configuration acts on their behalf anymore.
+* @param {string} username - The Trakt username.
+* @returns {Promise<number>} The number of ended sessions.
+*/
+const endSessions = async (username) => {
+    const result = await pool.query(
+        `DELETE FROM trakt_sessions WHERE username = $1`,
+        [username]
+    );
+
+    log.info(`${result.rowCount} sessions ended for user ${username}`);
+    return result.rowCount;
+};
+
+module.exports = {
+    createSession,
+    getSession,
+    endSessions
+};
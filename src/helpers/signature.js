@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const log = require('./logger');
+
+const ADDON_SECRET = process.env.ADDON_SECRET || process.env.TRAKT_CLIENT_SECRET;
+
+if (!process.env.ADDON_SECRET) {
+    log.warn('Environment variable ADDON_SECRET is not set, falling back to TRAKT_CLIENT_SECRET for signing links.');
+}
+
+/**
+* Signs a value with the addon secret so links generated by the addon cannot be forged.
+* @example
+* signValue('john_doe:movie:tt0137523')
+* 'b1946ac92492d2347c6235b4d2611184...'
+* @param {string} value - The value to sign.
+* @returns {string} The hex encoded HMAC-SHA256 signature of the value.
+*/
+const signValue = (value) => {
+    return crypto.createHmac('sha256', ADDON_SECRET).update(value).digest('hex');
+};
+
+/**
+* Checks that a signature was produced by signValue for the given value.
+* @example
+* verifySignature('john_doe:movie:tt0137523', 'b1946ac92492d2347c6235b4d2611184...')
+* true
+* @param {string} value - The value that was signed.
+* @param {string} signature - The signature to check.
+* @returns {boolean} True if the signature matches, false otherwise.
+* @description
+*   - Compares signatures in constant time to avoid leaking information through timing.
+*/
+const verifySignature = (value, signature) => {
+    if (!signature) {
+        return false;
+    }
+
+    const expected = Buffer.from(signValue(value));
+    const received = Buffer.from(String(signature));
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+    signValue,
+    verifySignature
+};
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+const SORT_FIELDS = ['rank', 'added', 'title', 'year', 'rating', 'runtime', 'released', 'random'];
+
+const SORT_EXTRA_OPTIONS = SORT_FIELDS.flatMap(field => field === 'random' ? [field] : [`${field}_asc`, `${field}_desc`]);
+
+const LEGACY_SORT_FIELDS = {
+    listed_at: 'added'
+};
+
+/**
+* Parses the sortBy extra of a catalog request.
+* @example
+* parseSortBy('rating_desc')
+* { sortBy: 'rating', sortHow: 'desc' }
+* @param {string} value - The sortBy extra, e.g. 'title_asc', 'listed_at_desc' or 'random'.
+* @returns {Object|null} { sortBy, sortHow }, or null if the value is not a known sort option.
+* @description
+*   - 'listed_at', used by older list catalogs, is read as 'added'.
+*/
+const parseSortBy = (value) => {
+    if (value === 'random') {
+        return { sortBy: 'random', sortHow: 'asc' };
+    }
+
+    const lastUnderscore = value.lastIndexOf('_');
+    if (lastUnderscore === -1) {
+        return null;
+    }
+
+    const field = value.slice(0, lastUnderscore);
+    const sortHow = value.slice(lastUnderscore + 1);
+    const sortBy = LEGACY_SORT_FIELDS[field] || field;
+
+    if (!SORT_FIELDS.includes(sortBy) || !['asc', 'desc'].includes(sortHow)) {
+        return null;
+    }
+    return { sortBy, sortHow };
+};
+
+/**
+* Returns the movie or show of a catalog item.
+* @example
+* getMedia({ movie: { title: 'Alien', ids: { trakt: 1 } } })
+* { title: 'Alien', ids: { trakt: 1 } }
+* @param {Object} item - A Trakt item, wrapped ({ movie } or { show }, as in lists) or bare (as in recommendations).
+* @returns {Object} The movie or show.
+*/
+const getMedia = (item) => item.movie || item.show || item;
+
+const getSortValue = (entry, sortBy, seed) => {
+    const media = getMedia(entry.item);
+    const details = entry.details || {};
+
+    switch (sortBy) {
+        case 'rank':
+            return entry.item.rank || entry.index;
+        case 'added':
+            return entry.item.listed_at || entry.item.last_watched_at || '';
+        case 'title':
+            return (details.title || media.title || '').toLowerCase();
+        case 'year':
+            return media.year || parseInt(details.releaseDate, 10) || 0;
+        case 'rating':
+            return entry.rating || 0;
+        case 'runtime':
+            return media.runtime || details.runtimeMinutes || 0;
+        case 'released':
+            return media.released || media.first_aired || entry.item.released || entry.item.first_aired || details.released || '';
+        case 'random':
+            return crypto.createHash('md5').update(`${seed}:${media.ids ? media.ids.trakt : media.title}`).digest('hex');
+        default:
+            return 0;
+    }
+};
+
+/**
+* Sorts catalog entries in a stable and repeatable order, so every page of a catalog agrees on the order.
+* @example
+* sortEntries([{ item, index: 0, rating: 7.1 }, { item, index: 1, rating: 8.4 }], 'rating', 'desc', 'seed')
+* [{ item, index: 1, rating: 8.4 }, { item, index: 0, rating: 7.1 }]
+* @param {Array<Object>} entries - The entries: { item, index, rating?, details? }, index being the position in source order.
+* @param {string} sortBy - One of SORT_FIELDS.
+* @param {string} sortHow - 'asc' or 'desc' (ignored for random).
+* @param {string} [seed=''] - The seed of the random order; the same seed always gives the same order.
+* @returns {Array<Object>} A new, sorted array of entries.
+* @description
+*   - Ties keep the source order, so paging through the same catalog never shows an item twice.
+*   - 'runtime' and 'released' read the Trakt item first and the TMDB details (entry.details) otherwise.
+*/
+const sortEntries = (entries, sortBy, sortHow = 'asc', seed = '') => {
+    const direction = sortHow === 'desc' && sortBy !== 'random' ? -1 : 1;
+
+    return entries
+        .map(entry => ({ entry, value: getSortValue(entry, sortBy, seed) }))
+        .sort((a, b) => {
+            if (a.value < b.value) return -direction;
+            if (a.value > b.value) return direction;
+            return a.entry.index - b.entry.index;
+        })
+        .map(({ entry }) => entry);
+};
+
+module.exports = {
+    SORT_FIELDS,
+    SORT_EXTRA_OPTIONS,
+    parseSortBy,
+    getMedia,
+    sortEntries
+};
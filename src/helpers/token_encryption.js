@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const log = require('./logger');
+
+const ENCRYPTED_PREFIX = 'enc:v1';
+const CIPHER = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+* Reads TOKEN_ENCRYPTION_KEYS: comma separated '<id>:<base64 key of 32 bytes>', the first one encrypting new tokens.
+* @returns {Array<Object>} The keys, { id, key }, active key first.
+*/
+const loadKeys = () => {
+    return (process.env.TOKEN_ENCRYPTION_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            const id = entry.slice(0, separator);
+            const key = Buffer.from(entry.slice(separator + 1), 'base64');
+            if (separator === -1 || !/^[A-Za-z0-9_-]+$/.test(id) || key.length !== 32) {
+                throw new Error(`Invalid entry in TOKEN_ENCRYPTION_KEYS, expected '<id>:<base64 key of 32 bytes>'`);
+            }
+            return { id, key };
+        });
+};
+
+const KEYS = loadKeys();
+const ACTIVE_KEY = KEYS[0] || null;
+
+if (!ACTIVE_KEY) {
+    log.warn('Environment variable TOKEN_ENCRYPTION_KEYS is not set, Trakt tokens are stored in plaintext.');
+}
+
+const seal = (key, plaintext) => {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+};
+
+const open = (key, sealed) => {
+    const data = Buffer.from(sealed, 'base64url');
+    const decipher = crypto.createDecipheriv(CIPHER, key, data.subarray(0, IV_LENGTH));
+    decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+};
+
+const isEncrypted = (value) => {
+    return typeof value === 'string' && value.startsWith(`${ENCRYPTED_PREFIX}:`);
+};
+
+const parseEncrypted = (value) => {
+    const [, , keyId, wrappedKey, sealedToken] = value.split(':');
+    const keyEntry = KEYS.find(entry => entry.id === keyId);
+    if (!keyEntry) {
+        throw new Error(`Token encrypted with unknown key '${keyId}', add it to TOKEN_ENCRYPTION_KEYS`);
+    }
+    return { keyEntry, wrappedKey, sealedToken };
+};
+
+/**
+* Encrypts a Trakt token before it is stored.
+* @example
+* encryptToken('abcdef123456')
+* 'enc:v1:2024-10:Gx3c...:Vb1q...'
+* @param {string|null} token - The token to encrypt.
+* @returns {string|null} The encrypted token, or the token itself when no key is configured.
+* @description
+*   - Envelope encryption: the token is sealed with its own random data key, and only that data key is sealed with the key
+*     from TOKEN_ENCRYPTION_KEYS, whose id is kept next to it. Rotating the key only re-seals data keys, see rotateToken.
+*/
+const encryptToken = (token) => {
+    if (!token || !ACTIVE_KEY) {
+        return token;
+    }
+
+    const dataKey = crypto.randomBytes(32);
+    return [ENCRYPTED_PREFIX, ACTIVE_KEY.id, seal(ACTIVE_KEY.key, dataKey), seal(dataKey, Buffer.from(token, 'utf8'))].join(':');
+};
+
+/**
+* Decrypts a token read from the database.
+* @example
+* decryptToken('enc:v1:2024-10:Gx3c...:Vb1q...')
+* 'abcdef123456'
+* @param {string|null} value - The stored token.
+* @returns {string|null} The token; tokens stored before encryption was enabled are returned as they are.
+* @description
+*   - Throws if the token was encrypted with a key that is no longer in TOKEN_ENCRYPTION_KEYS, or was tampered with.
+*/
+const decryptToken = (value) => {
+    if (!isEncrypted(value)) {
+        return value;
+    }
+
+    const { keyEntry, wrappedKey, sealedToken } = parseEncrypted(value);
+    const dataKey = open(keyEntry.key, wrappedKey);
+    return open(dataKey, sealedToken).toString('utf8');
+};
+
+/**
+* Brings a stored token to the active key: plaintext tokens are encrypted, tokens of an older key have their data key re-sealed.
+* @example
+* rotateToken('enc:v1:2023-01:Hk9a...:Vb1q...')
+* 'enc:v1:2024-10:Gx3c...:Vb1q...'
+* @param {string|null} value - The stored token.
+* @returns {string|null} The new value to store, or null if the token is already sealed with the active key.
+*/
+const rotateToken = (value) => {
+    if (!value || !ACTIVE_KEY) {
+        return null;
+    }
+
+    if (!isEncrypted(value)) {
+        return encryptToken(value);
+    }
+
+    const { keyEntry, wrappedKey, sealedToken } = parseEncrypted(value);
+    if (keyEntry.id === ACTIVE_KEY.id) {
+        return null;
+    }
+
+    const dataKey = open(keyEntry.key, wrappedKey);
+    return [ENCRYPTED_PREFIX, ACTIVE_KEY.id, seal(ACTIVE_KEY.key, dataKey), sealedToken].join(':');
+};
+
+module.exports = {
+    ACTIVE_KEY_ID: ACTIVE_KEY ? ACTIVE_KEY.id : null,
+    encryptToken,
+    decryptToken,
+    rotateToken
+};
@@ -1,28 +1,34 @@
-const { fetchUserHistory } = require('../api/trakt');
+const { fetchUserHistory, revokeTraktToken, getTokenTimes, bumpHistoryVersion } = require('../api/trakt');
 const { pool } = require('./db');
 const log = require('./logger');
+const { endSessions } = require('./sessions');
+const { clearCachedConfigsOfUser } = require('./config');
+const { encryptToken, decryptToken } = require('./token_encryption');
 
 /**
 * Inserts or updates Trakt tokens for a user in the database.
 * @example
-* sync('user123', 'accessTokenValue', 'refreshTokenValue')
+* sync('user123', { access_token: 'accessTokenValue', refresh_token: 'refreshTokenValue', expires_in: 86400, created_at: 1729300000 })
 * undefined
 * @param {string} username - The username for which tokens need to be stored.
-* @param {string} accessToken - The access token for Trakt API.
-* @param {string} refreshToken - The refresh token for regenerating the access token.
+* @param {Object} tokens - The token response from Trakt: access_token, refresh_token, expires_in and created_at.
 * @returns {Promise<void>} Returns a promise that resolves when tokens are saved or rejects with an error.
 * @description
 *   - The function ensures that tokens are either inserted or updated based on the username.
+*   - Tokens are encrypted with encryptToken when TOKEN_ENCRYPTION_KEYS is set.
+*   - Their lifetime is stored too, so callWithUserToken can refresh them before they expire.
 *   - Logs successful token storage or error details if an exception occurs.
 *   - Uses a PostgreSQL database connection to save the tokens.
 */
-const saveUserTokens = async (username, accessToken, refreshToken) => {
+const saveUserTokens = async (username, tokens) => {
+    const { createdAt, expiresIn, expiresAt } = getTokenTimes(tokens);
+
     try {
         await pool.query(
-            `INSERT INTO trakt_tokens (username, access_token, refresh_token) 
-            VALUES ($1, $2, $3) 
-            ON CONFLICT (username) DO UPDATE SET access_token = $2, refresh_token = $3`,
-            [username, accessToken, refreshToken]
+            `INSERT INTO trakt_tokens (username, access_token, refresh_token, token_created_at, expires_in, expires_at) 
+            VALUES ($1, $2, $3, $4, $5, $6) 
+            ON CONFLICT (username) DO UPDATE SET access_token = $2, refresh_token = $3, token_created_at = $4, expires_in = $5, expires_at = $6`,
+            [username, encryptToken(tokens.access_token), encryptToken(tokens.refresh_token), createdAt, expiresIn, expiresAt]
         );
         log.info(`Tokens saved for user ${username}`);
     } catch (err) {
@@ -39,6 +45,7 @@ const saveUserTokens = async (username, accessToken, refreshToken) => {
 * @param {string} username - The username to fetch tokens for.
 * @returns {Object} An object containing access_token and refresh_token.
 * @description
+*   - Tokens are returned decrypted.
 *   - Throws an error if no tokens are found for the specified user.
 *   - Logs a warning if no tokens are found and an error if the query fails.
 */
@@ -50,14 +57,14 @@ const fetchUserTokens = async (username) => {
         );
         const row = result.rows[0];
 
-        if (!row) {
+        if (!row || !row.access_token) {
             log.warn(`No tokens found for user ${username}`);
             throw new Error(`No tokens found for user ${username}`);
         }
 
         return {
-            access_token: row.access_token,
-            refresh_token: row.refresh_token,
+            access_token: decryptToken(row.access_token),
+            refresh_token: decryptToken(row.refresh_token),
         };
     } catch (err) {
         log.error(`Error fetching tokens for user ${username}: ${err.message}`);
@@ -73,8 +80,145 @@ const fetchUserWatchedShows = async (username, accessToken) => {
     return fetchUserHistory(username, 'shows', accessToken);
 };
 
+/**
+* Revokes the access token of a user on Trakt, without failing if Trakt refuses it.
+* @param {string} username - The Trakt username.
+* @returns {Promise<void>} No value is returned.
+*/
+const revokeUserToken = async (username) => {
+    const result = await pool.query(
+        `SELECT access_token FROM trakt_tokens WHERE username = $1`,
+        [username]
+    );
+    const row = result.rows[0];
+
+    if (!row || !row.access_token) {
+        return;
+    }
+
+    try {
+        await revokeTraktToken(decryptToken(row.access_token));
+    } catch (err) {
+        log.warn(`Could not revoke the Trakt token of user ${username}, forgetting it anyway: ${err.message}`);
+    }
+};
+
+const clearCachedUserData = async (username) => {
+    await clearCachedConfigsOfUser(username);
+    await bumpHistoryVersion(username);
+};
+
+/**
+* Logs a user out of the addon: their Trakt token is revoked and forgotten, and their sessions are ended.
+* @example
+* disconnectUser('john_doe')
+* undefined
+* @param {string} username - The Trakt username.
+* @returns {Promise<void>} Returns a promise that resolves when the user is disconnected.
+* @description
+*   - The stored history is kept, so logging in again does not need a full sync.
+*   - Configurations tied to an ended session stop acting for the user, see resolveConfig.
+*/
+const disconnectUser = async (username) => {
+    try {
+        await revokeUserToken(username);
+        await pool.query(
+            `UPDATE trakt_tokens SET access_token = NULL, refresh_token = NULL, token_created_at = NULL, expires_in = NULL, expires_at = NULL
+             WHERE username = $1`,
+            [username]
+        );
+        await endSessions(username);
+        await clearCachedUserData(username);
+        log.info(`User ${username} disconnected`);
+    } catch (err) {
+        log.error(`Error disconnecting user ${username}: ${err.message}`);
+        throw err;
+    }
+};
+
+/**
+* Deletes everything stored about a user: tokens, sessions, history and the configurations naming them.
+* @example
+* deleteUserData('john_doe')
+* undefined
+* @param {string} username - The Trakt username.
+* @returns {Promise<void>} Returns a promise that resolves when the data is deleted.
+* @description
+*   - The Trakt token is revoked first, on a best-effort basis.
+*   - Sessions and history are deleted along with trakt_tokens, through their foreign keys.
+*/
+const deleteUserData = async (username) => {
+    try {
+        await revokeUserToken(username);
+        await clearCachedUserData(username);
+        await pool.query(
+            `DELETE FROM user_configs WHERE config->>'traktUsername' = $1`,
+            [username]
+        );
+        await pool.query(
+            `DELETE FROM trakt_tokens WHERE username = $1`,
+            [username]
+        );
+        log.info(`All data of user ${username} deleted`);
+    } catch (err) {
+        log.error(`Error deleting data of user ${username}: ${err.message}`);
+        throw err;
+    }
+};
+
+/**
+* Gathers everything stored about a user, for them to download.
+* @example
+* exportUserData('john_doe')
+* { username: 'john_doe', connected: true, sessions: [...], history: [...], episodeHistory: [...], configs: [...] }
+* @param {string} username - The Trakt username.
+* @returns {Promise<Object>} The data of the user; tokens and session secrets are left out.
+*/
+const exportUserData = async (username) => {
+    try {
+        const [account, sessions, history, episodeHistory, configs] = await Promise.all([
+            pool.query(
+                `SELECT username, access_token IS NOT NULL AS connected, expires_at, last_fetched_at FROM trakt_tokens WHERE username = $1`,
+                [username]
+            ),
+            pool.query(
+                `SELECT id, created_at, last_used_at FROM trakt_sessions WHERE username = $1 ORDER BY created_at`,
+                [username]
+            ),
+            pool.query(
+                `SELECT type, title, trakt_id, imdb_id, tmdb_id, watched_at FROM trakt_history WHERE username = $1 ORDER BY watched_at DESC`,
+                [username]
+            ),
+            pool.query(
+                `SELECT show_trakt_id, show_imdb_id, show_tmdb_id, season, episode, plays, watched_at
+                 FROM trakt_episode_history WHERE username = $1 ORDER BY watched_at DESC`,
+                [username]
+            ),
+            pool.query(
+                `SELECT id, config, created_at, updated_at FROM user_configs WHERE config->>'traktUsername' = $1 ORDER BY created_at`,
+                [username]
+            )
+        ]);
+
+        return {
+            ...(account.rows[0] || { username, connected: false }),
+            exportedAt: new Date().toISOString(),
+            sessions: sessions.rows,
+            history: history.rows,
+            episodeHistory: episodeHistory.rows,
+            configs: configs.rows
+        };
+    } catch (err) {
+        log.error(`Error exporting data of user ${username}: ${err.message}`);
+        throw err;
+    }
+};
+
 module.exports = {
     saveUserTokens,
+    disconnectUser,
+    deleteUserData,
+    exportUserData,
     fetchUserWatchedMovies,
     fetchUserWatchedShows,
     fetchUserTokens
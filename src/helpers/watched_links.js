@@ -0,0 +1,52 @@
+const { signValue, verifySignature } = require('./signature');
+
+const WATCHED_LINK_TTL_MS = 24 * 60 * 60 * 1000;
+
+const watchedLinkValue = (configId, type, id, expires) => {
+    return `watched:${configId}:${type}:${id}:${expires}`;
+};
+
+/**
+* Builds the signed "Mark as watched" link of a title for a stored configuration.
+* @example
+* createWatchedUrl('0f8fad5b-d9cb-469f-a165-70867728950e', 'movie', 'tt0137523')
+* 'https://addon.example/watched/movie/tt0137523?config=0f8fad5b-...&expires=1700000000000&sig=b1946ac9...'
+* @param {string} configId - The stored configuration the link is generated for.
+* @param {string} type - The Stremio type, either 'movie' or 'series'.
+* @param {string} id - The Stremio id of the movie or episode.
+* @returns {string} The link, valid for WATCHED_LINK_TTL_MS.
+* @description
+*   - The link names the configuration, not the user: the user is read from the configuration when the link is used,
+*     so a link stops working once its configuration loses its Trakt session.
+*/
+const createWatchedUrl = (configId, type, id) => {
+    const expires = Date.now() + WATCHED_LINK_TTL_MS;
+    const signature = signValue(watchedLinkValue(configId, type, id, expires));
+
+    return `${process.env.BASE_URL}/watched/${type}/${encodeURIComponent(id)}?config=${configId}&expires=${expires}&sig=${signature}`;
+};
+
+/**
+* Checks that a "Mark as watched" link was built by createWatchedUrl and has not expired.
+* @example
+* verifyWatchedLink('0f8fad5b-d9cb-469f-a165-70867728950e', 'movie', 'tt0137523', '1700000000000', 'b1946ac9...')
+* true
+* @param {string} configId - The configuration id of the link.
+* @param {string} type - The Stremio type of the link.
+* @param {string} id - The Stremio id of the link.
+* @param {string} expires - The expiry of the link, in milliseconds since the epoch.
+* @param {string} signature - The signature of the link.
+* @returns {boolean} True if the link is genuine and still valid, false otherwise.
+*/
+const verifyWatchedLink = (configId, type, id, expires, signature) => {
+    if (!configId || !expires || Number(expires) < Date.now()) {
+        return false;
+    }
+
+    return verifySignature(watchedLinkValue(configId, type, id, expires), signature);
+};
+
+module.exports = {
+    createWatchedUrl,
+    verifyWatchedLink
+};
@@ -0,0 +1,65 @@
+require('dotenv').config();
+const log = require('../helpers/logger');
+const { pool } = require('../helpers/db');
+const { assertMigrationsApplied } = require('../helpers/migrations');
+const { ACTIVE_KEY_ID, rotateToken } = require('../helpers/token_encryption');
+
+/**
+* Encrypts the stored Trakt tokens with the active key of TOKEN_ENCRYPTION_KEYS.
+* @example
+* node src/jobs/encrypt_tokens.js
+* @returns {Promise<number>} The number of users whose tokens were rewritten.
+* @description
+*   - Plaintext tokens are encrypted; tokens encrypted with an older key are moved to the active key, after which the older
+*     key can be removed from TOKEN_ENCRYPTION_KEYS.
+*   - Each row is only rewritten if it did not change in the meantime, so tokens refreshed while the job runs are never lost.
+*   - Safe to run again: tokens already sealed with the active key are left untouched.
+*/
+const encryptTokens = async () => {
+    if (!ACTIVE_KEY_ID) {
+        throw new Error('TOKEN_ENCRYPTION_KEYS is not set, there is no key to encrypt tokens with');
+    }
+
+    await assertMigrationsApplied();
+
+    const result = await pool.query(
+        `SELECT username, access_token, refresh_token FROM trakt_tokens
+         WHERE access_token IS NOT NULL OR refresh_token IS NOT NULL`
+    );
+
+    let rewritten = 0;
+    for (const row of result.rows) {
+        const accessToken = rotateToken(row.access_token);
+        const refreshToken = rotateToken(row.refresh_token);
+
+        if (!accessToken && !refreshToken) {
+            continue;
+        }
+
+        const update = await pool.query(
+            `UPDATE trakt_tokens SET access_token = $1, refresh_token = $2
+             WHERE username = $3 AND access_token IS NOT DISTINCT FROM $4 AND refresh_token IS NOT DISTINCT FROM $5`,
+            [accessToken || row.access_token, refreshToken || row.refresh_token, row.username, row.access_token, row.refresh_token]
+        );
+
+        if (update.rowCount) {
+            rewritten++;
+        } else {
+            log.warn(`Tokens of user ${row.username} changed during the job, they are already stored with the active key`);
+        }
+    }
+
+    log.info(`Token encryption finished: ${rewritten} of ${result.rows.length} users rewritten with key ${ACTIVE_KEY_ID}`);
+    return rewritten;
+};
+
+if (require.main === module) {
+    encryptTokens()
+        .catch(error => {
+            log.error(`Token encryption failed: ${error.message}`);
+            process.exitCode = 1;
+        })
+        .finally(() => pool.end());
+}
+
+module.exports = { encryptTokens };
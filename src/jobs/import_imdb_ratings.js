@@ -0,0 +1,101 @@
+require('dotenv').config();
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+const axios = require('axios');
+const log = require('../helpers/logger');
+const { pool } = require('../helpers/db');
+const { assertMigrationsApplied } = require('../helpers/migrations');
+
+const IMDB_RATINGS_URL = 'https://datasets.imdbws.com/title.ratings.tsv.gz';
+const BATCH_SIZE = 5000;
+
+/**
+* Opens the IMDb ratings dataset, either from a local file or from a URL, as a stream of text.
+* @param {string} source - A path or an http(s) URL to title.ratings.tsv or title.ratings.tsv.gz.
+* @returns {Promise<stream.Readable>} The uncompressed TSV stream.
+*/
+const openDataset = async (source) => {
+    let stream;
+    if (/^https?:\/\//.test(source)) {
+        log.info(`Downloading IMDb ratings from ${source}`);
+        const response = await axios.get(source, { responseType: 'stream' });
+        stream = response.data;
+    } else {
+        log.info(`Reading IMDb ratings from ${source}`);
+        stream = fs.createReadStream(source);
+    }
+
+    return source.endsWith('.gz') ? stream.pipe(zlib.createGunzip()) : stream;
+};
+
+const saveBatch = async (batch) => {
+    await pool.query(
+        `INSERT INTO imdb_ratings (imdb_id, average_rating, num_votes, updated_at)
+         SELECT imdb_id, average_rating, num_votes, NOW()
+         FROM UNNEST($1::text[], $2::numeric[], $3::int[]) AS rows (imdb_id, average_rating, num_votes)
+         ON CONFLICT (imdb_id) DO UPDATE SET
+            average_rating = EXCLUDED.average_rating,
+            num_votes = EXCLUDED.num_votes,
+            updated_at = EXCLUDED.updated_at`,
+        [batch.map(row => row[0]), batch.map(row => row[1]), batch.map(row => row[2])]
+    );
+};
+
+/**
+* Imports the public IMDb title.ratings.tsv dataset into the imdb_ratings table.
+* @example
+* node src/jobs/import_imdb_ratings.js
+* node src/jobs/import_imdb_ratings.js ./title.ratings.tsv.gz
+* @param {string} [source] - A path or URL to the dataset, defaults to the IMDb datasets URL.
+* @returns {Promise<number>} The number of imported ratings.
+* @description
+*   - Streams the file line by line, so the full dataset never sits in memory.
+*   - Upserts ratings in batches; titles that are no longer in the dataset keep their last known rating.
+*/
+const importImdbRatings = async (source = IMDB_RATINGS_URL) => {
+    await assertMigrationsApplied();
+
+    const input = readline.createInterface({ input: await openDataset(source), crlfDelay: Infinity });
+
+    let batch = [];
+    let imported = 0;
+    let isHeader = true;
+
+    for await (const line of input) {
+        if (isHeader) {
+            isHeader = false;
+            continue;
+        }
+
+        const [imdbId, averageRating, numVotes] = line.split('\t');
+        if (!imdbId || !averageRating || !numVotes) continue;
+
+        batch.push([imdbId, averageRating, numVotes]);
+        if (batch.length >= BATCH_SIZE) {
+            await saveBatch(batch);
+            imported += batch.length;
+            batch = [];
+            log.debug(`${imported} IMDb ratings imported`);
+        }
+    }
+
+    if (batch.length) {
+        await saveBatch(batch);
+        imported += batch.length;
+    }
+
+    log.info(`IMDb ratings import finished: ${imported} ratings imported`);
+    return imported;
+};
+
+if (require.main === module) {
+    importImdbRatings(process.argv[2])
+        .catch(error => {
+            log.error(`IMDb ratings import failed: ${error.message}`);
+            process.exitCode = 1;
+        })
+        .finally(() => pool.end());
+}
+
+module.exports = { importImdbRatings };
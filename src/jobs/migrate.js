@@ -0,0 +1,45 @@
+require('dotenv').config();
+const log = require('../helpers/logger');
+const { pool } = require('../helpers/db');
+const { getMigrationsStatus, runMigrations } = require('../helpers/migrations');
+
+const COMMANDS = {
+    up: async () => {
+        const applied = await runMigrations();
+        log.info(applied.length ? `${applied.length} migrations applied` : 'Database schema is up to date');
+    },
+    status: async () => {
+        const migrations = await getMigrationsStatus();
+        migrations.forEach(({ version, name, appliedAt }) => {
+            console.log(`${String(version).padStart(3, '0')} ${name.padEnd(40)} ${appliedAt ? `applied ${appliedAt.toISOString()}` : 'pending'}`);
+        });
+        const pending = migrations.filter(migration => !migration.appliedAt).length;
+        console.log(pending ? `${pending} pending migrations` : 'Database schema is up to date');
+    }
+};
+
+/**
+* Applies or lists the database migrations of src/migrations.
+* @example
+* node src/jobs/migrate.js up
+* node src/jobs/migrate.js status
+* @param {string} [command='up'] - 'up' to apply pending migrations, 'status' to list them.
+* @returns {Promise<void>} No value is returned.
+*/
+const migrate = async (command = 'up') => {
+    if (!COMMANDS[command]) {
+        throw new Error(`Unknown command '${command}', use ${Object.keys(COMMANDS).join(' or ')}`);
+    }
+    await COMMANDS[command]();
+};
+
+if (require.main === module) {
+    migrate(process.argv[2])
+        .catch(error => {
+            log.error(`Migration failed: ${error.message}`);
+            process.exitCode = 1;
+        })
+        .finally(() => pool.end());
+}
+
+module.exports = { migrate };
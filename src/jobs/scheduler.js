@@ -0,0 +1,207 @@
+const os = require('os');
+const log = require('../helpers/logger');
+const { pool } = require('../helpers/db');
+const { parseCacheDuration } = require('../helpers/cache');
+const { refreshUserHistory, refreshUserTokens, getHistoryFetchInterval, fetchAndStoreGenres } = require('../api/trakt');
+
+const SCHEDULER_ENABLED = process.env.SCHEDULER_ENABLED !== 'false';
+const SCHEDULER_TICK_MS = 60 * 1000;
+const JOB_LOCK_DURATION = '1h';
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+* Syncs the history of every user whose last sync is older than TRAKT_HISTORY_FETCH_INTERVAL.
+* @returns {Promise<string>} A summary of the run.
+*/
+const syncHistories = async () => {
+    const result = await pool.query(
+        `SELECT username FROM trakt_tokens
+         WHERE access_token IS NOT NULL
+           AND (last_fetched_at IS NULL OR last_fetched_at < NOW() - $1 * INTERVAL '1 millisecond')
+         ORDER BY last_fetched_at ASC NULLS FIRST`,
+        [getHistoryFetchInterval()]
+    );
+
+    let failed = 0;
+    for (const { username } of result.rows) {
+        try {
+            await refreshUserHistory(username);
+        } catch (error) {
+            failed++;
+            log.error(`Scheduled history sync failed for user ${username}: ${error.message}`);
+        }
+    }
+
+    return `${result.rows.length - failed} of ${result.rows.length} histories synced`;
+};
+
+/**
+* Refreshes the tokens of every user whose access token expires within TOKEN_REFRESH_MARGIN.
+* @returns {Promise<string>} A summary of the run.
+* @description
+*   - Tokens stored before their expiry was tracked are refreshed once, so their expiry becomes known.
+*/
+const refreshExpiringTokens = async () => {
+    const margin = parseCacheDuration(process.env.TOKEN_REFRESH_MARGIN || '12h');
+    const result = await pool.query(
+        `SELECT username FROM trakt_tokens
+         WHERE refresh_token IS NOT NULL
+           AND (expires_at IS NULL OR expires_at < NOW() + $1 * INTERVAL '1 second')`,
+        [margin]
+    );
+
+    let failed = 0;
+    for (const { username } of result.rows) {
+        try {
+            await refreshUserTokens(username);
+        } catch (error) {
+            failed++;
+            log.error(`Scheduled token refresh failed for user ${username}: ${error.message}`);
+        }
+    }
+
+    return `${result.rows.length - failed} of ${result.rows.length} tokens refreshed`;
+};
+
+const refreshGenres = async () => {
+    await fetchAndStoreGenres();
+    return 'Genres refreshed';
+};
+
+const JOBS = [
+    { name: 'sync_history', interval: process.env.HISTORY_SYNC_JOB_INTERVAL || '1h', run: syncHistories },
+    { name: 'refresh_tokens', interval: process.env.TOKEN_REFRESH_JOB_INTERVAL || '1h', run: refreshExpiringTokens },
+    { name: 'refresh_genres', interval: process.env.GENRES_REFRESH_JOB_INTERVAL || '7d', run: refreshGenres }
+];
+
+const runningJobs = new Set();
+
+/**
+* Takes the lock of a job if it is due and no instance is running it.
+* @param {Object} job - One of JOBS.
+* @returns {Promise<boolean>} Whether this instance should run the job now.
+* @description
+*   - The lock is a row of scheduled_jobs leased for JOB_LOCK_DURATION, so several instances sharing the database never run a job twice,
+*     and the lock of a crashed instance expires by itself.
+*/
+const claimJob = async (job) => {
+    await pool.query(
+        `INSERT INTO scheduled_jobs (name) VALUES ($1) ON CONFLICT (name) DO NOTHING`,
+        [job.name]
+    );
+
+    const result = await pool.query(
+        `UPDATE scheduled_jobs
+         SET locked_by = $2, locked_until = NOW() + $3 * INTERVAL '1 second', last_started_at = NOW(), last_status = 'running'
+         WHERE name = $1
+           AND (locked_until IS NULL OR locked_until < NOW())
+           AND (next_run_at IS NULL OR next_run_at <= NOW())
+         RETURNING name`,
+        [job.name, INSTANCE_ID, parseCacheDuration(JOB_LOCK_DURATION)]
+    );
+
+    return result.rows.length > 0;
+};
+
+const releaseJob = async (job, status, message, durationMs) => {
+    await pool.query(
+        `UPDATE scheduled_jobs
+         SET locked_by = NULL, locked_until = NULL, last_finished_at = NOW(), next_run_at = NOW() + $5 * INTERVAL '1 second',
+             last_status = $2, last_error = $3, last_duration_ms = $4
+         WHERE name = $1 AND locked_by = $6`,
+        [job.name, status, status === 'failed' ? message : null, durationMs, parseCacheDuration(job.interval), INSTANCE_ID]
+    );
+};
+
+/**
+* Runs a job if it is due, recording its outcome in scheduled_jobs.
+* @param {Object} job - One of JOBS.
+* @returns {Promise<void>} No value is returned; errors are logged.
+*/
+const runJob = async (job) => {
+    if (runningJobs.has(job.name)) {
+        return;
+    }
+    runningJobs.add(job.name);
+
+    try {
+        if (!(await claimJob(job))) {
+            return;
+        }
+
+        const startedAt = Date.now();
+        log.info(`Job ${job.name} started`);
+
+        try {
+            const summary = await job.run();
+            await releaseJob(job, 'succeeded', summary, Date.now() - startedAt);
+            log.info(`Job ${job.name} finished in ${Date.now() - startedAt}ms: ${summary}`);
+        } catch (error) {
+            await releaseJob(job, 'failed', error.message, Date.now() - startedAt);
+            log.error(`Job ${job.name} failed: ${error.message}`);
+        }
+    } catch (error) {
+        log.error(`Error scheduling job ${job.name}: ${error.message}`);
+    } finally {
+        runningJobs.delete(job.name);
+    }
+};
+
+/**
+* Starts the background jobs of the addon.
+* @example
+* startScheduler()
+* // sync_history, refresh_tokens and refresh_genres run in the background
+* @returns {Promise<void>} Resolves once the first tick is scheduled; the database schema must be up to date.
+* @description
+*   - Every minute, each due job is run, one job after the other.
+*   - Does nothing when SCHEDULER_ENABLED is 'false'; history is then refreshed lazily by catalog requests.
+*/
+const startScheduler = async () => {
+    if (!SCHEDULER_ENABLED) {
+        log.info('Scheduler disabled, history will be refreshed on catalog requests');
+        return;
+    }
+
+    const tick = async () => {
+        for (const job of JOBS) {
+            await runJob(job);
+        }
+    };
+
+    setInterval(tick, SCHEDULER_TICK_MS).unref();
+    tick();
+    log.info(`Scheduler started on ${INSTANCE_ID} with jobs: ${JOBS.map(job => job.name).join(', ')}`);
+};
+
+/**
+* Returns the status of every job, as recorded by all instances.
+* @example
+* getJobsStatus()
+* { enabled: true, jobs: [{ name: 'sync_history', interval: '1h', lastStatus: 'succeeded', ... }] }
+* @returns {Promise<Object>} Whether the scheduler is enabled here, and the last run, next run and lock of each job.
+*/
+const getJobsStatus = async () => {
+    const result = await pool.query(`SELECT * FROM scheduled_jobs`);
+    const rows = new Map(result.rows.map(row => [row.name, row]));
+
+    return {
+        enabled: SCHEDULER_ENABLED,
+        jobs: JOBS.map(job => {
+            const row = rows.get(job.name) || {};
+            return {
+                name: job.name,
+                interval: job.interval,
+                running: !!row.locked_until && new Date(row.locked_until) > new Date(),
+                lastStartedAt: row.last_started_at || null,
+                lastFinishedAt: row.last_finished_at || null,
+                lastStatus: row.last_status || null,
+                lastError: row.last_error || null,
+                lastDurationMs: row.last_duration_ms || null,
+                nextRunAt: row.next_run_at || null
+            };
+        })
+    };
+};
+
+module.exports = { startScheduler, getJobsStatus };
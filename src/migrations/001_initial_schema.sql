@@ -0,0 +1,64 @@
+-- Schema created at startup before migrations were versioned.
+-- Every statement is idempotent, so databases created by any earlier version are brought to the same state.
+
+CREATE TABLE IF NOT EXISTS trakt_tokens (
+    id SERIAL PRIMARY KEY,
+    username TEXT UNIQUE,
+    access_token TEXT NOT NULL,
+    refresh_token TEXT NOT NULL,
+    last_fetched_at TIMESTAMP DEFAULT NULL
+);
+ALTER TABLE trakt_tokens ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP DEFAULT NULL;
+ALTER TABLE trakt_tokens ADD COLUMN IF NOT EXISTS history_activity JSONB DEFAULT NULL;
+
+CREATE TABLE IF NOT EXISTS trakt_history (
+    id SERIAL PRIMARY KEY,
+    username TEXT,
+    watched_at TIMESTAMP,
+    type TEXT,
+    title TEXT,
+    trakt_id INTEGER,
+    imdb_id TEXT,
+    tmdb_id INTEGER,
+    FOREIGN KEY (username) REFERENCES trakt_tokens(username) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_trakt_history_username ON trakt_history(username);
+ALTER TABLE trakt_history ADD COLUMN IF NOT EXISTS trakt_id INTEGER;
+
+CREATE TABLE IF NOT EXISTS trakt_episode_history (
+    id SERIAL PRIMARY KEY,
+    username TEXT,
+    show_trakt_id INTEGER,
+    show_imdb_id TEXT,
+    show_tmdb_id INTEGER,
+    season INTEGER,
+    episode INTEGER,
+    plays INTEGER DEFAULT 1,
+    watched_at TIMESTAMP,
+    FOREIGN KEY (username) REFERENCES trakt_tokens(username) ON DELETE CASCADE,
+    UNIQUE (username, show_trakt_id, season, episode)
+);
+CREATE INDEX IF NOT EXISTS idx_trakt_episode_history_username ON trakt_episode_history(username);
+
+CREATE TABLE IF NOT EXISTS genres (
+    genre_slug TEXT,
+    genre_name TEXT,
+    media_type TEXT,
+    PRIMARY KEY (genre_slug, media_type),
+    UNIQUE (genre_slug, media_type)
+);
+
+CREATE TABLE IF NOT EXISTS user_configs (
+    id TEXT PRIMARY KEY,
+    config JSONB NOT NULL,
+    edit_token_hash TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS imdb_ratings (
+    imdb_id TEXT PRIMARY KEY,
+    average_rating NUMERIC(3, 1) NOT NULL,
+    num_votes INTEGER NOT NULL,
+    updated_at TIMESTAMP DEFAULT NOW()
+);
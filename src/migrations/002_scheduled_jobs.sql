@@ -0,0 +1,11 @@
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    name TEXT PRIMARY KEY,
+    locked_by TEXT,
+    locked_until TIMESTAMP,
+    next_run_at TIMESTAMP,
+    last_started_at TIMESTAMP,
+    last_finished_at TIMESTAMP,
+    last_status TEXT,
+    last_error TEXT,
+    last_duration_ms INTEGER
+);
@@ -0,0 +1,16 @@
+-- Disconnected users keep their row, and their history, without tokens.
+ALTER TABLE trakt_tokens ALTER COLUMN access_token DROP NOT NULL;
+ALTER TABLE trakt_tokens ALTER COLUMN refresh_token DROP NOT NULL;
+
+CREATE TABLE IF NOT EXISTS trakt_sessions (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    last_used_at TIMESTAMP DEFAULT NOW(),
+    FOREIGN KEY (username) REFERENCES trakt_tokens(username) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_trakt_sessions_username ON trakt_sessions(username);
+
+-- Not a foreign key: a configuration whose session was ended keeps pointing at it, see resolveConfig.
+ALTER TABLE user_configs ADD COLUMN IF NOT EXISTS session_id TEXT DEFAULT NULL;
@@ -0,0 +1,3 @@
+-- Lifetime of the access token as sent by Trakt; expires_at is derived from both.
+ALTER TABLE trakt_tokens ADD COLUMN IF NOT EXISTS expires_in INTEGER DEFAULT NULL;
+ALTER TABLE trakt_tokens ADD COLUMN IF NOT EXISTS token_created_at TIMESTAMP DEFAULT NULL;
@@ -0,0 +1,45 @@
+-- History rows are keyed by (username, type, trakt_id): titles without an IMDb ID have a row too,
+-- and a movie and a show never collide. Rows stored before trakt_id existed are migrated to that key.
+
+-- Shows get their Trakt ID back from their episodes.
+UPDATE trakt_history history SET trakt_id = episodes.show_trakt_id
+    FROM (
+        SELECT DISTINCT ON (username, show_imdb_id) username, show_imdb_id, show_trakt_id
+        FROM trakt_episode_history
+        WHERE show_imdb_id IS NOT NULL AND show_trakt_id IS NOT NULL
+        ORDER BY username, show_imdb_id, watched_at DESC NULLS LAST
+    ) episodes
+    WHERE history.trakt_id IS NULL AND history.type = 'show'
+      AND history.username = episodes.username AND history.imdb_id = episodes.show_imdb_id;
+
+-- Other titles get it from any row of the same title that has it, found by IMDb ID, then by TMDB ID.
+UPDATE trakt_history history SET trakt_id = known.trakt_id
+    FROM (
+        SELECT DISTINCT ON (type, imdb_id) type, imdb_id, trakt_id
+        FROM trakt_history
+        WHERE trakt_id IS NOT NULL AND imdb_id IS NOT NULL
+        ORDER BY type, imdb_id, watched_at DESC NULLS LAST
+    ) known
+    WHERE history.trakt_id IS NULL AND history.type = known.type AND history.imdb_id = known.imdb_id;
+
+UPDATE trakt_history history SET trakt_id = known.trakt_id
+    FROM (
+        SELECT DISTINCT ON (type, tmdb_id) type, tmdb_id, trakt_id
+        FROM trakt_history
+        WHERE trakt_id IS NOT NULL AND tmdb_id IS NOT NULL
+        ORDER BY type, tmdb_id, watched_at DESC NULLS LAST
+    ) known
+    WHERE history.trakt_id IS NULL AND history.type = known.type AND history.tmdb_id = known.tmdb_id;
+
+-- Keeps the latest watch of each title.
+DELETE FROM trakt_history duplicate USING trakt_history kept
+    WHERE duplicate.username = kept.username AND duplicate.type = kept.type AND duplicate.trakt_id = kept.trakt_id
+      AND (COALESCE(duplicate.watched_at, '-infinity'::timestamp), duplicate.id) < (COALESCE(kept.watched_at, '-infinity'::timestamp), kept.id);
+
+-- Rows still without Trakt ID are dropped, and the history of their users is fully synced again.
+UPDATE trakt_tokens SET history_activity = NULL, last_fetched_at = NULL
+    WHERE username IN (SELECT username FROM trakt_history WHERE trakt_id IS NULL);
+DELETE FROM trakt_history WHERE trakt_id IS NULL;
+
+DROP INDEX IF EXISTS idx_trakt_history_username_imdb_id;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_trakt_history_username_trakt_id ON trakt_history(username, type, trakt_id);
@@ -0,0 +1,59 @@
+const express = require('express');
+const log = require('../helpers/logger');
+const { getSession } = require('../helpers/sessions');
+const { disconnectUser, deleteUserData, exportUserData } = require('../helpers/trakt');
+
+const router = express.Router();
+
+const requireSession = async (req, res, next) => {
+    try {
+        const session = await getSession(req.get('X-Session-Token'));
+        if (!session) {
+            return res.status(401).json({ error: 'A valid session is required, please login to Trakt again' });
+        }
+        req.session = session;
+        next();
+    } catch (error) {
+        log.error(`Error checking session: ${error.message}`);
+        res.status(500).json({ error: 'Error checking session' });
+    }
+};
+
+router.post('/account/disconnect', requireSession, async (req, res) => {
+    const { username } = req.session;
+
+    try {
+        await disconnectUser(username);
+        res.json({ username, disconnected: true });
+    } catch (error) {
+        log.error(`Error disconnecting user ${username}: ${error.message}`);
+        res.status(500).json({ error: 'Error disconnecting from Trakt' });
+    }
+});
+
+router.get('/account/export', requireSession, async (req, res) => {
+    const { username } = req.session;
+
+    try {
+        const data = await exportUserData(username);
+        res.setHeader('Content-Disposition', `attachment; filename="trakt-addon-${username}.json"`);
+        res.json(data);
+    } catch (error) {
+        log.error(`Error exporting data of user ${username}: ${error.message}`);
+        res.status(500).json({ error: 'Error exporting data' });
+    }
+});
+
+router.delete('/account', requireSession, async (req, res) => {
+    const { username } = req.session;
+
+    try {
+        await deleteUserData(username);
+        res.json({ username, deleted: true });
+    } catch (error) {
+        log.error(`Error deleting data of user ${username}: ${error.message}`);
+        res.status(500).json({ error: 'Error deleting data' });
+    }
+});
+
+module.exports = router;
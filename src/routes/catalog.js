@@ -1,10 +1,23 @@
+const crypto = require('crypto');
 const express = require('express');
 const { pool } = require('../helpers/db');
 const log = require('../helpers/logger');
-const { fetchListItems, fetchWatchlistItems, fetchRecommendations, fetchTrendingItems, fetchPopularItems, handleTraktHistory } = require('../api/trakt');
+const { safeRedisCall } = require('../helpers/redis');
+const { parseCacheDuration } = require('../helpers/cache');
+const { resolveConfig, CONFIG_ID_REGEX } = require('../helpers/config');
+const { fetchListItems, fetchWatchlistItems, fetchRecommendations, fetchChartItems, fetchUpNextItems, fetchCalendarItems, callWithUserToken, handleTraktHistory, syncUserHistory, fetchWatchedIds, getHistoryVersion, TRAKT_CHARTS, CHART_PERIODS, WATCHLIST_SORTS } = require('../api/trakt');
 const { getMetadataByTmdbId } = require('../api/tmdb');
-const { getFanartLogo } = require('../api/fanart');
-const { getRpdbPosterUrl } = require('../api/rpdb');
+const { getFanartImages } = require('../api/fanart');
+const { evaluateCustomCatalog } = require('../helpers/custom_catalogs');
+const { getRelatedCatalogs, getRecentRelatedItems } = require('../helpers/related_catalogs');
+const { resolvePoster } = require('../helpers/artwork');
+const { fetchRatings, formatRating } = require('../helpers/ratings');
+const { parseSortBy, sortEntries } = require('../helpers/sorting');
+const { getStremioId } = require('../helpers/ids');
+
+const WINDOW_PAGE_LIMIT = 100;
+const WINDOW_MAX_PAGES = 5;
+const WINDOW_CACHE_DURATION = '1h';
 
 const getGenreSlug = async (genreName, mediaType) => {
     try {
@@ -18,6 +31,54 @@ const getGenreSlug = async (genreName, mediaType) => {
     }
 };
 
+const getItemMedia = (item, type) => {
+    if (type === 'movie' || type === 'movies') {
+        return { media: item.movie || item, mediaType: 'movie' };
+    }
+    if (type === 'series' || type === 'tv') {
+        return { media: item.show || item, mediaType: 'series' };
+    }
+    if (type === 'list' && item.movie) {
+        return { media: item.movie, mediaType: 'movie' };
+    }
+    if (type === 'list' && item.show) {
+        return { media: item.show, mediaType: 'series' };
+    }
+    return null;
+};
+
+const fetchDetails = (itemMedias, config) => Promise.all(itemMedias.map(async (itemMedia) => {
+    if (!itemMedia || !itemMedia.media.ids || !itemMedia.media.ids.tmdb) {
+        return null;
+    }
+
+    const { media, mediaType } = itemMedia;
+    try {
+        return await getMetadataByTmdbId(media.ids.tmdb, mediaType === 'movie' ? 'movie' : 'tv', config.tmdbApiKey, config.language || 'en-US', config.fallbackLanguages);
+    } catch (error) {
+        log.warn(`No TMDB details to sort ${media.title}: ${error.message}`);
+        return null;
+    }
+}));
+
+/**
+* Builds the single item of a personal catalog whose configuration is not tied to a Trakt login anymore, see withoutTraktUser.
+* @param {string} type - The type of the catalog.
+* @param {string|undefined} configParameters - The configuration segment of the URL.
+* @returns {Object} A Stremio meta preview pointing to the configure page.
+*/
+const getTraktLoginMeta = (type, configParameters) => {
+    const configurePath = configParameters && CONFIG_ID_REGEX.test(configParameters) ? `/${configParameters}/configure` : '/configure';
+
+    return {
+        id: 'trakt_login_required',
+        type,
+        name: 'Login to Trakt again',
+        description: 'This addon link is not tied to a Trakt login anymore: it was made by an older version of the addon, or you logged out. Open the configure page, login to Trakt and install the addon again to get your personal catalogs back.',
+        links: [{ name: 'Configure the addon', category: 'Trakt', url: `${process.env.BASE_URL}${configurePath}` }]
+    };
+};
+
 const router = express.Router();
 
 router.get("/:configParameters?/catalog/:type/:id/:extra?.json", async (req, res, next) => {
@@ -31,14 +92,10 @@ router.get("/:configParameters?/catalog/:type/:id/:extra?.json", async (req, res
     let config = {};
 
     try {
-        if (configParameters) {
-            const decodedConfig = decodeURIComponent(configParameters);
-            config = JSON.parse(decodedConfig);
-        }
+        config = await resolveConfig(configParameters);
 
         const tmdbApiKey = config.tmdbApiKey;
         const fanartApiKey = config.fanartApiKey;
-        const rpdbApiKey = config.rpdbApiKey;
         const language = config.language || 'en-US';
         const traktUsername = config.traktUsername;
 
@@ -46,16 +103,39 @@ router.get("/:configParameters?/catalog/:type/:id/:extra?.json", async (req, res
             return res.status(400).json({ error: 'TMDB API key is required' });
         }
 
+        const traktUserRequired = (error) => config.traktLoginRequired
+            ? res.json({ metas: [getTraktLoginMeta(type, configParameters)] })
+            : res.status(400).json({ error });
+
         if (cleanId === 'watchlist_movies' || cleanId === 'watchlist_series') {
             if (!traktUsername) {
-                return res.status(400).json({ error: 'Trakt username is required for fetching watchlist' });
+                return traktUserRequired('Trakt username is required for fetching watchlist');
             }
         }
 
+        if ((cleanId === 'recommendations_movies' || cleanId === 'recommendations_series') && !traktUsername) {
+            return traktUserRequired('Trakt username is required for fetching recommendations');
+        }
+
+        if (cleanId === 'upnext_series' && !traktUsername) {
+            return traktUserRequired('Trakt username is required for fetching up next');
+        }
+
+        if ((cleanId === 'calendar_my_movies' || cleanId === 'calendar_my_series') && !traktUsername) {
+            return traktUserRequired('Trakt username is required for fetching your calendar');
+        }
+
+        const relatedMatch = cleanId.match(/^related_(movies|series)(?:_(\d+))?$/);
+
+        if (relatedMatch && !traktUsername) {
+            return traktUserRequired('Trakt username is required for fetching "Because you watched" catalogs');
+        }
+
         let skip = 0;
         let genre = null;
         let sortBy = null;
         let sortHow = 'asc';
+        let period = CHART_PERIODS.includes(config.chartPeriod) ? config.chartPeriod : 'weekly';
 
         if (extra) {
             const extraParams = extra.split('&');
@@ -65,11 +145,12 @@ router.get("/:configParameters?/catalog/:type/:id/:extra?.json", async (req, res
                     skip = parseInt(value);
                 } else if (key === 'genre') {
                     genre = value;
+                } else if (key === 'period' && CHART_PERIODS.includes(value)) {
+                    period = value;
                 } else if (key === 'sortBy') {
-                    const lastUnderscore = value.lastIndexOf('_');
-                    if (lastUnderscore !== -1) {
-                        sortBy = value.slice(0, lastUnderscore);
-                        sortHow = value.slice(lastUnderscore + 1);
+                    const sort = parseSortBy(value);
+                    if (sort) {
+                        ({ sortBy, sortHow } = sort);
                     }
                 }
             }
@@ -88,208 +169,260 @@ router.get("/:configParameters?/catalog/:type/:id/:extra?.json", async (req, res
 
         log.debug(`Fetching list items with skip: ${skip}, limit: ${limit}, page: ${page}, genre: ${genre}, genreSlug: ${genreSlug}, sortBy: ${sortBy}, sortHow: ${sortHow}`);
 
-        let allItems = [];
-        
-        switch (cleanId) {
-            case 'watchlist_movies':
-            case 'watchlist_series':
-                log.debug(`Fetching watchlist for ${type} and user: ${traktUsername}`);
-                allItems = await fetchWatchlistItems(traktUsername, type, page, limit);
-                break;
-            case 'recommendations_movies':
-            case 'recommendations_series':
-                log.debug(`Fetching recommendations for ${type} and user: ${traktUsername}`);
-                allItems = await fetchRecommendations(traktUsername, type, true, true);
-                break;
-            case 'trending_movies':
-            case 'trending_series':
-                log.debug(`Fetching trending items for ${type}`);
-                allItems = await fetchTrendingItems(type, page, limit, genreSlug);
-                break;
-            case 'popular_movies':
-            case 'popular_series':
-                log.debug(`Fetching popular items for ${type}`);
-                allItems = await fetchPopularItems(type, page, limit, genreSlug);
-                break;
-            default:
-                log.debug(`Fetching list items from Trakt API for list ${cleanId}`);
-                if (sortBy) {
-                    log.debug(`Sorting provided: ignoring pagination, using sortBy: ${sortBy} and sortHow: ${sortHow}`);
-                    allItems = await fetchListItems(cleanId, type, null, null, sortBy, sortHow);
-                } else {
-                    log.debug(`No sorting provided: using pagination with page: ${page}, limit: ${limit}`);
-                    allItems = await fetchListItems(cleanId, type, page, limit);
-                }
-                break;
-        }
+        const chartMatch = cleanId.match(/^([a-z]+)_(movies|series)$/);
+        const chart = chartMatch && Object.prototype.hasOwnProperty.call(TRAKT_CHARTS, chartMatch[1]) ? chartMatch[1] : null;
 
-        log.debug(`Items fetched for list ${cleanId}: ${allItems.length} items`);
+        const customCatalog = (config.customCatalogs || []).find(rule => `custom_${rule.id}` === cleanId);
+        const isPrivateList = (list) => list.privacy && list.privacy !== 'public';
+        const privateListIds = new Set((config.traktLists || []).filter(isPrivateList).map(list => String(list.id)));
 
-        const paginatedItems = sortBy ? allItems.slice(skip, skip + limit) : allItems;
+        if (customCatalog && !traktUsername && [...(customCatalog.include || []), ...(customCatalog.intersect || []), ...(customCatalog.exclude || [])].some(source => source.source !== 'list' || privateListIds.has(String(source.id)))) {
+            return traktUserRequired('Trakt username is required for custom catalogs using your watchlist, recommendations or private lists');
+        }
 
-        const metas = await Promise.all(paginatedItems.map(async (item) => {
-            let logoUrl = '';
-            let posterUrl = '';
+        const listConfig = (config.traktLists || []).find(list => String(list.id) === cleanId) || {};
+        const isPrivate = isPrivateList(listConfig);
 
-            if (type === 'movie' || type === 'movies') {
-                const movie = item.movie || item;
-                if (movie && movie.ids && movie.ids.tmdb) {
-                    try {
-                        const tmdbDetails = await getMetadataByTmdbId(movie.ids.tmdb, 'movie', tmdbApiKey, language);
-                        if (rpdbApiKey) {
-                            const rpdbPosterUrl = await getRpdbPosterUrl('movie', movie.ids.tmdb, language, rpdbApiKey);
-                            posterUrl = rpdbPosterUrl || tmdbDetails.poster;
-                        } else {
-                            posterUrl = tmdbDetails.poster;
-                        }
+        if (isPrivate && !traktUsername) {
+            return traktUserRequired('Trakt username is required for fetching private lists');
+        }
 
-                        if (fanartApiKey) {
-                            logoUrl = await getFanartLogo(movie.ids.tmdb, language, fanartApiKey);
-                        }
+        const minRating = parseFloat((config.ratingFilters || {})[cleanId]) || null;
+        const isWatchlist = cleanId === 'watchlist_movies' || cleanId === 'watchlist_series';
+        const nativeSort = isWatchlist && WATCHLIST_SORTS.includes(sortBy);
 
-                        return {
-                            id: `${movie.ids.imdb}`,
-                            type: 'movie',
-                            name: tmdbDetails.title,
-                            poster: posterUrl,
-                            logo: logoUrl,
-                            description: tmdbDetails.description,
-                            releaseInfo: tmdbDetails.releaseDate,
-                            posterShape: 'poster',
-                            imdbRating: tmdbDetails.imdbRating,
-                            genres: tmdbDetails.genres,
-                            runtime: tmdbDetails.runtime
-                        };
-                    } catch (error) {
-                        log.error(`Error fetching TMDB details for movie: ${movie.title}, TMDB ID: ${movie.ids.tmdb} - ${error.message}`);
-                        return null;
+        const fetchCatalogItems = async (pageNumber, pageLimit) => {
+            const fullList = (items) => ({ items, paginated: false, hasMore: false });
+            const traktPage = (items) => ({ items, paginated: true, hasMore: items.length >= pageLimit });
+
+            switch (chart ? 'chart' : customCatalog ? 'custom' : relatedMatch ? 'related' : cleanId) {
+                case 'watchlist_movies':
+                case 'watchlist_series':
+                    log.debug(`Fetching watchlist for ${type} and user: ${traktUsername}`);
+                    return nativeSort
+                        ? traktPage(await fetchWatchlistItems(traktUsername, type, pageNumber, pageLimit, sortBy, sortHow))
+                        : traktPage(await fetchWatchlistItems(traktUsername, type, pageNumber, pageLimit));
+                case 'recommendations_movies':
+                case 'recommendations_series': {
+                    const recommendations = config.recommendations || {};
+                    if (recommendations.mode === 'recent') {
+                        log.debug(`Fetching recommendations from recent watches for ${type} and user: ${traktUsername}`);
+                        return fullList(await getRecentRelatedItems(traktUsername, type, config, recommendations.recentCount || 10, recommendations.limit || 100));
                     }
+                    log.debug(`Fetching recommendations for ${type} and user: ${traktUsername}`);
+                    return fullList(await fetchRecommendations(traktUsername, type, recommendations.ignoreCollected !== false, recommendations.ignoreWatchlisted !== false, recommendations.limit || 100));
                 }
-            }
-            else if (type === 'series' || type === 'tv') {
-                const show = item.show || item;
-                if (show && show.ids && show.ids.tmdb) {
-                    try {
-                        const tmdbDetails = await getMetadataByTmdbId(show.ids.tmdb, 'tv', tmdbApiKey, language);
-                        if (rpdbApiKey) {
-                            const rpdbPosterUrl = await getRpdbPosterUrl('series', show.ids.tmdb, language, rpdbApiKey);
-                            posterUrl = rpdbPosterUrl || tmdbDetails.poster;
-                        } else {
-                            posterUrl = tmdbDetails.poster;
-                        }
-            
-                        if (fanartApiKey) {
-                            logoUrl = await getFanartLogo(show.ids.tmdb, language, fanartApiKey);
-                        }
-            
-                        const releaseInfo = tmdbDetails.releaseDate === tmdbDetails.lastAirDate
-                            ? tmdbDetails.releaseDate
-                            : `${tmdbDetails.releaseDate}-${tmdbDetails.lastAirDate}`;
-            
-                        return {
-                            id: `${show.ids.imdb}`,
-                            type: 'series',
-                            name: tmdbDetails.title,
-                            poster: posterUrl,
-                            logo: logoUrl,
-                            description: tmdbDetails.description,
-                            releaseInfo,
-                            posterShape: 'poster',
-                            imdbRating: tmdbDetails.imdbRating,
-                            genres: tmdbDetails.genres,
-                            runtime: tmdbDetails.runtime
-                        };
-                    } catch (error) {
-                        log.error(`Error fetching TMDB details for show: ${show.title}, TMDB ID: ${show.ids.tmdb} - ${error.message}`);
-                        return null;
+                case 'upnext_series':
+                    log.debug(`Fetching up next shows for user: ${traktUsername}`);
+                    return fullList(await fetchUpNextItems(traktUsername));
+                case 'calendar_my_movies':
+                case 'calendar_my_series':
+                    log.debug(`Fetching calendar for ${type} and user: ${traktUsername}`);
+                    return fullList(await callWithUserToken(traktUsername, (accessToken) => fetchCalendarItems(type, 'my', accessToken, genreSlug)));
+                case 'calendar_all_movies':
+                case 'calendar_all_series':
+                    log.debug(`Fetching calendar for ${type}`);
+                    return fullList(await fetchCalendarItems(type, 'all', null, genreSlug));
+                case 'related': {
+                    log.debug(`Fetching "Because you watched" ${type} for user: ${traktUsername}`);
+                    const relatedCatalogs = await getRelatedCatalogs(traktUsername, type, config);
+                    if (!relatedMatch[2]) {
+                        return fullList(relatedCatalogs.blended);
                     }
+                    const seed = relatedCatalogs.seeds.find(seed => String(seed.tmdbId) === relatedMatch[2]);
+                    return fullList(seed ? seed.items : []);
                 }
-            }
-            else if (type === 'list') {
-                const listItem = item;
-
-                if (listItem && listItem.movie && listItem.movie.ids && listItem.movie.ids.tmdb) {
-                    try {
-                        const tmdbDetails = await getMetadataByTmdbId(listItem.movie.ids.tmdb, 'movie', tmdbApiKey, language);
-                        if (rpdbApiKey) {
-                            const rpdbPosterUrl = await getRpdbPosterUrl('movie', listItem.movie.ids.tmdb, language, rpdbApiKey);
-                            posterUrl = rpdbPosterUrl || tmdbDetails.poster;
-                        } else {
-                            posterUrl = tmdbDetails.poster;
+                case 'custom':
+                    log.debug(`Evaluating custom catalog ${customCatalog.id} for user: ${traktUsername}`);
+                    return fullList(await evaluateCustomCatalog(customCatalog, config));
+                case 'chart':
+                    log.debug(`Fetching ${chart} items for ${type} with period ${period}`);
+                    return traktPage(await fetchChartItems(chart, type, pageNumber, pageLimit, genreSlug, period, (config.chartFilters || {})[cleanId]));
+                default: {
+                    log.debug(`Fetching list items from Trakt API for list ${cleanId}`);
+                    const fetchItems = (accessToken = null) => {
+                        const owner = isPrivate ? listConfig.username : null;
+                        if (sortBy) {
+                            log.debug(`Sorting provided: fetching the whole list to sort it by ${sortBy} ${sortHow}`);
+                            return fetchListItems(cleanId, type, null, null, null, 'asc', accessToken, owner);
                         }
+                        log.debug(`No sorting provided: using pagination with page: ${pageNumber}, limit: ${pageLimit}`);
+                        return fetchListItems(cleanId, type, pageNumber, pageLimit, null, 'asc', accessToken, owner);
+                    };
 
-                        if (fanartApiKey) {
-                            logoUrl = await getFanartLogo(listItem.movie.ids.tmdb, language, fanartApiKey);
-                        }
+                    const items = isPrivate
+                        ? await callWithUserToken(traktUsername, fetchItems)
+                        : await fetchItems();
+                    return sortBy ? fullList(items) : traktPage(items);
+                }
+            }
+        };
 
-                        return {
-                            id: `${listItem.movie.ids.imdb}`,
-                            type: 'movie',
-                            name: listItem.movie.title,
-                            poster: posterUrl,
-                            logo: logoUrl,
-                            description: tmdbDetails.description,
-                            releaseInfo: tmdbDetails.releaseDate,
-                            posterShape: 'poster',
-                            imdbRating: tmdbDetails.imdbRating,
-                            genres: tmdbDetails.genres,
-                            runtime: tmdbDetails.runtime
-                        };
-                    } catch (error) {
-                        log.error(`Error fetching TMDB details for list item: ${listItem.movie.title}, TMDB ID: ${listItem.movie.ids.tmdb} - ${error.message}`);
-                        return null;
-                    }
+        const historyModes = config.historyModes || {};
+        const historyMode = !traktUsername || cleanId === 'upnext_series'
+            ? 'off'
+            : historyModes[cleanId] || (config.markContentHistory ? 'mark' : 'off');
+
+        const serverSort = sortBy && !nativeSort ? sortBy : null;
+        let paginatedItems = [];
+
+        if (historyMode === 'hide' || historyMode === 'end' || minRating || serverSort) {
+            // The window is built once for every page of the catalog, so its key leaves out skip, and changes with the history of the user.
+            const sortDay = new Date().toISOString().slice(0, 10);
+            const historyVersion = traktUsername ? await getHistoryVersion(traktUsername) : null;
+            const windowHash = crypto.createHash('sha256').update(JSON.stringify({ configParameters, cleanId, type, genreSlug, period, sortBy, sortHow, historyMode, minRating, historyVersion, sortDay })).digest('hex');
+            const redisKey = `catalog_window:${windowHash}`;
+
+            let windowItems = null;
+            const cachedWindow = await safeRedisCall('get', redisKey);
+            if (cachedWindow) {
+                log.debug(`Windowed catalog ${cleanId} found in cache.`);
+                windowItems = JSON.parse(cachedWindow);
+            } else {
+                let watchedIds = new Set();
+                if (historyMode === 'hide' || historyMode === 'end') {
+                    await syncUserHistory(traktUsername);
+                    watchedIds = await fetchWatchedIds(traktUsername, type);
                 }
-                else if (listItem && listItem.show && listItem.show.ids && listItem.show.ids.tmdb) {
-                    try {
-                        const tmdbDetails = await getMetadataByTmdbId(listItem.show.ids.tmdb, 'tv', tmdbApiKey, language);
-                        if (rpdbApiKey) {
-                            const rpdbPosterUrl = await getRpdbPosterUrl('series', listItem.show.ids.tmdb, language, rpdbApiKey);
-                            posterUrl = rpdbPosterUrl || tmdbDetails.poster;
-                        } else {
-                            posterUrl = tmdbDetails.poster;
-                        }
+                const isWatched = (entry) => {
+                    const media = entry.item.movie || entry.item.show || entry.item;
+                    return Boolean(media.ids && watchedIds.has(getStremioId(media.ids)));
+                };
+                const needsRatings = minRating || serverSort === 'rating';
+                const needsDetails = serverSort === 'runtime' || serverSort === 'released' || serverSort === 'title';
 
-                        if (fanartApiKey) {
-                            logoUrl = await getFanartLogo(listItem.show.ids.tmdb, language, fanartApiKey);
-                        }
+                const keptEntries = [];
+                let fetchedCount = 0;
+                for (let pageNumber = 1; pageNumber <= WINDOW_MAX_PAGES; pageNumber++) {
+                    const { items, paginated, hasMore } = await fetchCatalogItems(pageNumber, WINDOW_PAGE_LIMIT);
+                    const itemMedias = items.map(item => getItemMedia(item, type));
+                    const [ratings, details] = await Promise.all([
+                        needsRatings ? fetchRatings(itemMedias, config) : [],
+                        needsDetails ? fetchDetails(itemMedias, config) : []
+                    ]);
 
-                        const releaseInfo = tmdbDetails.releaseDate === tmdbDetails.lastAirDate
-                            ? tmdbDetails.releaseDate
-                            : `${tmdbDetails.releaseDate}-${tmdbDetails.lastAirDate}`;
-            
-                        return {
-                            id: `${listItem.show.ids.imdb}`,
-                            type: 'series',
-                            name: listItem.show.title,
-                            poster: posterUrl,
-                            logo: logoUrl,
-                            description: tmdbDetails.description,
-                            releaseInfo,
-                            posterShape: 'poster',
-                            imdbRating: tmdbDetails.imdbRating,
-                            genres: tmdbDetails.genres,
-                            runtime: tmdbDetails.runtime
+                    items.forEach((item, index) => {
+                        const entry = {
+                            item,
+                            index: fetchedCount + index,
+                            rating: ratings[index] ? ratings[index].rating : null,
+                            details: details[index] || null
                         };
-                    } catch (error) {
-                        log.error(`Error fetching TMDB details for list item: ${listItem.show.title}, TMDB ID: ${listItem.show.ids.tmdb} - ${error.message}`);
-                        return null;
+                        if (minRating && (entry.rating === null || entry.rating < minRating)) return;
+                        keptEntries.push(entry);
+                    });
+                    fetchedCount += items.length;
+
+                    if (!paginated || !hasMore) {
+                        break;
                     }
                 }
+
+                let orderedEntries = historyMode === 'hide'
+                    ? keptEntries.filter(entry => !isWatched(entry))
+                    : keptEntries;
+
+                if (serverSort) {
+                    orderedEntries = sortEntries(orderedEntries, serverSort, sortHow, `${configParameters || ''}:${cleanId}:${sortDay}`);
+                }
+
+                if (historyMode === 'end') {
+                    orderedEntries = [...orderedEntries.filter(entry => !isWatched(entry)), ...orderedEntries.filter(isWatched)];
+                }
+
+                windowItems = orderedEntries.map(entry => entry.item);
+                await safeRedisCall('set', redisKey, JSON.stringify(windowItems), 'EX', parseCacheDuration(WINDOW_CACHE_DURATION));
+                log.debug(`Windowed catalog ${cleanId} (history: ${historyMode}, min rating: ${minRating}, sort: ${serverSort} ${sortHow}): ${windowItems.length} items kept`);
+            }
+
+            paginatedItems = windowItems.slice(skip, skip + limit);
+        } else {
+            const { items, paginated } = await fetchCatalogItems(page, limit);
+            paginatedItems = paginated ? items : items.slice(skip, skip + limit);
+        }
+
+        const ratings = await fetchRatings(paginatedItems.map(item => getItemMedia(item, type)), config);
+
+        log.debug(`Items fetched for list ${cleanId}: ${paginatedItems.length} items`);
+
+        const metas = await Promise.all(paginatedItems.map(async (item, index) => {
+            const itemMedia = getItemMedia(item, type);
+            if (!itemMedia) {
+                log.warn(`Unsupported item in ${type} catalog ${cleanId}`);
+                return null;
             }
-            else {
-                log.warn(`Unknown type in route: ${type}`);
+
+            const { media, mediaType } = itemMedia;
+            if (!media.ids || !media.ids.tmdb) {
                 return null;
             }
-        }).filter(Boolean));
+
+            try {
+                const tmdbDetails = await getMetadataByTmdbId(media.ids.tmdb, mediaType === 'movie' ? 'movie' : 'tv', tmdbApiKey, language, config.fallbackLanguages);
+                const posterUrl = await resolvePoster(mediaType, media.ids, config, tmdbDetails);
+                const fanartImages = fanartApiKey
+                    ? await getFanartImages(mediaType, media.ids, language, fanartApiKey)
+                    : {};
+
+                const releaseInfo = mediaType === 'series' && tmdbDetails.releaseDate !== tmdbDetails.lastAirDate
+                    ? `${tmdbDetails.releaseDate}-${tmdbDetails.lastAirDate}`
+                    : tmdbDetails.releaseDate;
+
+                return {
+                    id: getStremioId(media.ids),
+                    type: mediaType,
+                    name: type === 'list' ? media.title : tmdbDetails.title,
+                    poster: posterUrl,
+                    logo: fanartImages.logo || '',
+                    background: fanartImages.background || tmdbDetails.background,
+                    description: tmdbDetails.description,
+                    releaseInfo,
+                    posterShape: 'poster',
+                    imdbRating: formatRating(ratings[index]),
+                    genres: tmdbDetails.genres,
+                    runtime: tmdbDetails.runtime
+                };
+            } catch (error) {
+                log.error(`Error fetching TMDB details for ${mediaType}: ${media.title}, TMDB ID: ${media.ids.tmdb} - ${error.message}`);
+                return null;
+            }
+        }));
+        if (cleanId === 'upnext_series') {
+            metas.forEach((meta, index) => {
+                const nextEpisode = paginatedItems[index].next_episode;
+                if (meta && nextEpisode) {
+                    const episodeNumber = `S${String(nextEpisode.season).padStart(2, '0')}E${String(nextEpisode.number).padStart(2, '0')}`;
+                    const episodeTitle = nextEpisode.title ? ` - ${nextEpisode.title}` : '';
+                    meta.description = `Next: ${episodeNumber}${episodeTitle}\n\n${meta.description || ''}`;
+                }
+            });
+        }
+
+        if (cleanId.startsWith('calendar_')) {
+            metas.forEach((meta, index) => {
+                const item = paginatedItems[index];
+                const airDate = (item.first_aired || item.released || '').slice(0, 10);
+                if (meta && airDate) {
+                    meta.releaseInfo = airDate;
+                    if (item.episode) {
+                        const episodeNumber = `S${String(item.episode.season).padStart(2, '0')}E${String(item.episode.number).padStart(2, '0')}`;
+                        const episodeTitle = item.episode.title ? ` - ${item.episode.title}` : '';
+                        meta.description = `${airDate}: ${episodeNumber}${episodeTitle}\n\n${meta.description || ''}`;
+                    } else {
+                        meta.description = `${airDate}\n\n${meta.description || ''}`;
+                    }
+                }
+            });
+        }
+
         try {
             let updatedMetas = metas;
 
-            if (config.markContentHistory) {
+            if (historyMode === 'mark' || historyMode === 'end') {
                 updatedMetas = await handleTraktHistory(config, metas, type);
             }
 
-            res.json({ metas: updatedMetas });
+            res.json({ metas: updatedMetas.filter(Boolean) });
         } catch (error) {
             log.error(`Error handling Trakt history: ${error.message}`);
             res.status(500).json({ error: "Error handling Trakt history." });
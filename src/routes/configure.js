@@ -1,6 +1,7 @@
 const express = require('express');
 const path = require('path');
 const log = require('../helpers/logger');
+const { getConfigSession, createStoredConfig, getStoredConfigForEdit, updateStoredConfig } = require('../helpers/config');
 
 const router = express.Router();
 
@@ -16,11 +17,84 @@ router.get("/:configParameters?/configure", (req, res) => {
     res.sendFile(path.join(__dirname, `../../public/configure.html`));
 });
 
-router.get('/env', (req, res) => {
-    log.info('Sending environment variable TRAKT_CLIENT_ID to client');
-    res.json({
-        TRAKT_CLIENT_ID: process.env.TRAKT_CLIENT_ID
-    });
+router.post('/config', async (req, res) => {
+    const { config, traktSession } = req.body || {};
+
+    if (!config || typeof config !== 'object') {
+        return res.status(400).json({ error: 'A configuration object is required' });
+    }
+
+    try {
+        const { verified, sessionId } = await getConfigSession(config, traktSession);
+        if (!verified) {
+            log.warn(`Rejected configuration for unverified Trakt user ${config.traktUsername}`);
+            return res.status(403).json({ error: 'Trakt username could not be verified, please login to Trakt again' });
+        }
+
+        const { id, editToken } = await createStoredConfig(config, sessionId);
+        res.status(201).json({ id, editToken });
+    } catch (error) {
+        log.error(`Error storing configuration: ${error.message}`);
+        res.status(500).json({ error: 'Error storing configuration' });
+    }
+});
+
+router.get('/config/:id', async (req, res) => {
+    const { id } = req.params;
+    const editToken = req.get('X-Edit-Token');
+
+    if (!editToken) {
+        return res.status(401).json({ error: 'Edit token is required' });
+    }
+
+    try {
+        const storedConfig = await getStoredConfigForEdit(id, editToken);
+        if (!storedConfig) {
+            return res.status(404).json({ error: 'Configuration not found' });
+        }
+        res.json({ config: storedConfig.config });
+    } catch (error) {
+        log.error(`Error fetching configuration ${id}: ${error.message}`);
+        res.status(500).json({ error: 'Error fetching configuration' });
+    }
+});
+
+router.put('/config/:id', async (req, res) => {
+    const { id } = req.params;
+    const editToken = req.get('X-Edit-Token');
+    const { config, traktSession } = req.body || {};
+
+    if (!editToken) {
+        return res.status(401).json({ error: 'Edit token is required' });
+    }
+
+    if (!config || typeof config !== 'object') {
+        return res.status(400).json({ error: 'A configuration object is required' });
+    }
+
+    try {
+        const existing = await getStoredConfigForEdit(id, editToken);
+        if (!existing) {
+            return res.status(404).json({ error: 'Configuration not found' });
+        }
+
+        let { verified, sessionId } = await getConfigSession(config, traktSession);
+        if (!verified && config.traktUsername === existing.config.traktUsername) {
+            verified = true;
+            sessionId = existing.sessionId;
+        }
+
+        if (!verified) {
+            log.warn(`Rejected configuration update for unverified Trakt user ${config.traktUsername}`);
+            return res.status(403).json({ error: 'Trakt username could not be verified, please login to Trakt again' });
+        }
+
+        await updateStoredConfig(id, editToken, config, sessionId);
+        res.json({ id });
+    } catch (error) {
+        log.error(`Error updating configuration ${id}: ${error.message}`);
+        res.status(500).json({ error: 'Error updating configuration' });
+    }
 });
 
 module.exports = router;
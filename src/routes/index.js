@@ -1,9 +1,13 @@
 const express = require('express');
 const log = require('../helpers/logger');
+const accountRoutes = require('./account');
 const catalogRoutes = require('./catalog');
 const configureRoutes = require('./configure');
+const jobsRoutes = require('./jobs');
 const manifestRoutes = require('./manifest');
+const metaRoutes = require('./meta');
 const posterRoutes = require('./poster');
+const streamRoutes = require('./stream');
 const traktRoutes = require('./trakt');
 
 const router = express.Router();
@@ -21,10 +25,14 @@ const isBase64 = (str) => {
     }
 };
 
-const IGNORE_PATHS = ['/catalog', '/list', '/configure', '/manifest', '/poster'];
+const redactUrl = (url) => {
+    return url.replace(/([?&](?:session|code|state)=)[^&#]*/g, '$1[redacted]');
+};
+
+const IGNORE_PATHS = ['/catalog', '/list', '/configure', '/manifest', '/meta', '/poster', '/stream'];
 
 const decodeBase64Middleware = (req, res, next) => {
-    if (req.path.startsWith('/callback') || req.path.startsWith('/lists')) {
+    if (req.path.startsWith('/callback') || req.path.startsWith('/lists') || req.path.startsWith('/watched') || req.path.startsWith('/jobs') || req.path.startsWith('/account')) {
         return next();
     }
 
@@ -49,7 +57,7 @@ const decodeBase64Middleware = (req, res, next) => {
 
         req.url = decodedParts.join('/');
 
-        log.info(`URL after Base64 decoding: ${req.url}`);
+        log.info(`URL after Base64 decoding: ${redactUrl(req.url)}`);
 
         next();
     } catch (error) {
@@ -62,14 +70,18 @@ router.use(decodeBase64Middleware);
 
 router.use((req, res, next) => {
     log.info(`--- Request received ---`);
-    log.info(`${req.method} ${req.originalUrl}`);
+    log.info(`${req.method} ${redactUrl(req.originalUrl)}`);
     next();
 });
 
+router.use(accountRoutes);
 router.use(catalogRoutes);
 router.use(configureRoutes);
+router.use(jobsRoutes);
 router.use(manifestRoutes);
+router.use(metaRoutes);
 router.use(posterRoutes);
+router.use(streamRoutes);
 router.use(traktRoutes);
 
 router.use((err, req, res, next) => {
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const express = require('express');
+const log = require('../helpers/logger');
+const { getJobsStatus } = require('../jobs/scheduler');
+
+const router = express.Router();
+
+const { ADMIN_SECRET } = process.env;
+
+const isAdmin = (req) => {
+    if (!ADMIN_SECRET) {
+        return false;
+    }
+
+    const expected = crypto.createHash('sha256').update(ADMIN_SECRET).digest();
+    const received = crypto.createHash('sha256').update(String(req.get('X-Admin-Secret') || '')).digest();
+    return crypto.timingSafeEqual(expected, received);
+};
+
+router.get('/jobs/status', async (req, res) => {
+    if (!ADMIN_SECRET) {
+        return res.status(404).json({ error: 'Jobs status is disabled, set ADMIN_SECRET to enable it' });
+    }
+
+    if (!isAdmin(req)) {
+        log.warn('Rejected jobs status request: invalid or missing admin secret.');
+        return res.status(403).json({ error: 'A valid X-Admin-Secret header is required' });
+    }
+
+    try {
+        res.json(await getJobsStatus());
+    } catch (error) {
+        log.error(`Error fetching jobs status: ${error.message}`);
+        res.status(500).json({ error: 'Error fetching jobs status' });
+    }
+});
+
+module.exports = router;
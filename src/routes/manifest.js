@@ -1,7 +1,11 @@
 const express = require('express');
 const log = require('../helpers/logger');
+const { resolveConfig } = require('../helpers/config');
 const { pool } = require('../helpers/db');
-const { fetchAndStoreGenres } = require('../api/trakt');
+const { fetchAndStoreGenres, CHART_PERIODS } = require('../api/trakt');
+const { SORT_EXTRA_OPTIONS } = require('../helpers/sorting');
+const { getRelatedSeeds } = require('../helpers/related_catalogs');
+const { ID_PREFIXES } = require('../helpers/ids');
 
 const getGenres = async (type) => {
     try {
@@ -23,14 +27,11 @@ router.get("/:configParameters?/manifest.json", async (req, res) => {
     let config = {};
 
     try {
-        if (configParameters) {
-            const decodedConfig = decodeURIComponent(configParameters);
-            config = JSON.parse(decodedConfig);
-        }
+        config = await resolveConfig(configParameters);
 
         if (!(await pool.query("SELECT 1 FROM genres LIMIT 1")).rows.length) {
             log.debug(`Fetching genres`);
-            await fetchAndStoreGenres();
+            await fetchAndStoreGenres().catch(error => log.warn(`Serving the manifest without genres: ${error.message}`));
         }
 
         const movieGenres = await getGenres('movie');
@@ -41,44 +42,46 @@ router.get("/:configParameters?/manifest.json", async (req, res) => {
             "version": "0.3.0",
             "name": "Trakt Addon",
             "description": "Addon that generates dynamic catalogs based on Trakt lists & catalogs in your language.",
-            "resources": [ "catalog" ],
+            "resources": [
+                "catalog",
+                "meta",
+                ...(config.markAsWatched && (config.traktUsername || config.traktLoginRequired) ? [{ name: "stream", types: ["movie", "series"], idPrefixes: ID_PREFIXES }] : [])
+            ],
             "types": [
                 "movie",
                 "series"
             ],
             "catalogs": [],
-            "idPrefixes": ["tt"],
+            "idPrefixes": ID_PREFIXES,
             "behaviorHints": {
                 "configurable": true,
                 "configurationRequired": false
             }
         };
 
-        const createCatalog = (type, id, name, genres = [], addSortingOptions = false) => ({
+        const chartFilters = config.chartFilters || {};
+
+        const createCatalog = (type, id, name, genres = [], addPeriodOptions = false) => ({
             type,
             id,
-            name,
+            name: (chartFilters[id] && chartFilters[id].name) || name,
             "extra": [
                 ...(genres.length ? [{ name: 'genre', isRequired: false, options: genres }] : []),
                 { name: "skip", isRequired: false },
-                ...(addSortingOptions ? [
-                    {
-                        name: 'sortBy',
-                        isRequired: false,
-                        options: [
-                            'rank_asc', 'rank_desc',
-                            'listed_at_asc', 'listed_at_desc',
-                            'title_asc', 'title_desc',
-                            'year_asc', 'year_desc'
-                        ]
-                    }
-                ] : [])
+                ...(addPeriodOptions ? [{ name: 'period', isRequired: false, options: CHART_PERIODS }] : []),
+                { name: 'sortBy', isRequired: false, options: SORT_EXTRA_OPTIONS }
             ]
         });
 
         if (config.traktLists && Array.isArray(config.traktLists)) {
             config.traktLists.forEach(list => {
-                manifest.catalogs.push(createCatalog('list', `trakt_${list.id}`, list.name, [], true));
+                manifest.catalogs.push(createCatalog('list', `trakt_${list.id}`, list.name));
+            });
+        }
+
+        if (config.customCatalogs && Array.isArray(config.customCatalogs)) {
+            config.customCatalogs.forEach(rule => {
+                manifest.catalogs.push(createCatalog(rule.type, `custom_${rule.id}`, rule.name));
             });
         }
 
@@ -98,6 +101,46 @@ router.get("/:configParameters?/manifest.json", async (req, res) => {
             );
         }
 
+        if (toggles.related && (config.traktUsername || config.traktLoginRequired)) {
+            if (config.relatedMode === 'perSeed' && config.traktUsername) {
+                const [movieSeeds, seriesSeeds] = await Promise.all([
+                    getRelatedSeeds(config.traktUsername, 'movie'),
+                    getRelatedSeeds(config.traktUsername, 'series')
+                ]);
+                movieSeeds.forEach(seed => {
+                    manifest.catalogs.push(createCatalog('movie', `related_movies_${seed.tmdb_id}`, `Because You Watched ${seed.title}`));
+                });
+                seriesSeeds.forEach(seed => {
+                    manifest.catalogs.push(createCatalog('series', `related_series_${seed.tmdb_id}`, `Because You Watched ${seed.title}`));
+                });
+            } else {
+                manifest.catalogs.push(
+                    createCatalog('movie', 'related_movies', 'Because You Watched'),
+                    createCatalog('series', 'related_series', 'Because You Watched')
+                );
+            }
+        }
+
+        if (toggles.upnext) {
+            manifest.catalogs.push(
+                createCatalog('series', 'upnext_series', 'Up Next')
+            );
+        }
+
+        if (toggles.calendar) {
+            manifest.catalogs.push(
+                createCatalog('movie', 'calendar_my_movies', 'My Upcoming Movies', movieGenres),
+                createCatalog('series', 'calendar_my_series', 'My Upcoming Episodes', seriesGenres)
+            );
+        }
+
+        if (toggles.calendarAll) {
+            manifest.catalogs.push(
+                createCatalog('movie', 'calendar_all_movies', 'Upcoming Movies', movieGenres),
+                createCatalog('series', 'calendar_all_series', 'Upcoming Episodes', seriesGenres)
+            );
+        }
+
         if (toggles.trending) {
             manifest.catalogs.push(
                 createCatalog('movie', 'trending_movies', 'Trending Movies', movieGenres),
@@ -112,6 +155,40 @@ router.get("/:configParameters?/manifest.json", async (req, res) => {
             );
         }
 
+        if (toggles.anticipated) {
+            manifest.catalogs.push(
+                createCatalog('movie', 'anticipated_movies', 'Anticipated Movies', movieGenres),
+                createCatalog('series', 'anticipated_series', 'Anticipated Series', seriesGenres)
+            );
+        }
+
+        if (toggles.boxoffice) {
+            manifest.catalogs.push(
+                createCatalog('movie', 'boxoffice_movies', 'Box Office')
+            );
+        }
+
+        if (toggles.watched) {
+            manifest.catalogs.push(
+                createCatalog('movie', 'watched_movies', 'Most Watched Movies', movieGenres, true),
+                createCatalog('series', 'watched_series', 'Most Watched Series', seriesGenres, true)
+            );
+        }
+
+        if (toggles.played) {
+            manifest.catalogs.push(
+                createCatalog('movie', 'played_movies', 'Most Played Movies', movieGenres, true),
+                createCatalog('series', 'played_series', 'Most Played Series', seriesGenres, true)
+            );
+        }
+
+        if (toggles.collected) {
+            manifest.catalogs.push(
+                createCatalog('movie', 'collected_movies', 'Most Collected Movies', movieGenres, true),
+                createCatalog('series', 'collected_series', 'Most Collected Series', seriesGenres, true)
+            );
+        }
+
         res.setHeader('Content-Type', 'application/json');
         return res.status(200).json(manifest);
     } catch (error) {
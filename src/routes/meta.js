@@ -0,0 +1,98 @@
+const express = require('express');
+const log = require('../helpers/logger');
+const { resolveConfig } = require('../helpers/config');
+const { lookupIdsByStremioId } = require('../api/trakt');
+const { getMetaDetailsByTmdbId } = require('../api/tmdb');
+const { getFanartImages } = require('../api/fanart');
+const { resolvePoster } = require('../helpers/artwork');
+const { fetchRatings, formatRating } = require('../helpers/ratings');
+const { parseStremioId } = require('../helpers/ids');
+
+const router = express.Router();
+
+router.get("/:configParameters?/meta/:type/:id.json", async (req, res) => {
+    const { configParameters, type, id } = req.params;
+    let config = {};
+
+    try {
+        config = await resolveConfig(configParameters);
+
+        const tmdbApiKey = config.tmdbApiKey;
+        const fanartApiKey = config.fanartApiKey;
+        const language = config.language || 'en-US';
+
+        if (!tmdbApiKey) {
+            return res.status(400).json({ error: 'TMDB API key is required' });
+        }
+
+        if (type !== 'movie' && type !== 'series') {
+            log.warn(`Unknown type in meta route: ${type}`);
+            return res.status(404).json({ error: `Unsupported type '${type}'` });
+        }
+
+        const { baseId } = parseStremioId(id);
+        const ids = await lookupIdsByStremioId(baseId, type);
+
+        if (!ids || !ids.tmdb) {
+            log.warn(`No TMDB ID found on Trakt for ${type} ${baseId}`);
+            return res.status(404).json({ error: `No metadata found for ${baseId}` });
+        }
+
+        log.debug(`Resolved ${baseId} to TMDB ID ${ids.tmdb} and Trakt ID ${ids.trakt}`);
+
+        const tmdbType = type === 'movie' ? 'movie' : 'tv';
+        const details = await getMetaDetailsByTmdbId(ids.tmdb, tmdbType, tmdbApiKey, language, config.fallbackLanguages);
+
+        const posterUrl = await resolvePoster(type, ids, config, details);
+        const [rating] = await fetchRatings([{ media: { ids }, mediaType: type }], config);
+
+        const fanartImages = fanartApiKey
+            ? await getFanartImages(type, ids, language, fanartApiKey)
+            : {};
+
+        const releaseInfo = type === 'series' && details.lastAirDate && details.releaseDate !== details.lastAirDate
+            ? `${details.releaseDate}-${details.lastAirDate}`
+            : details.releaseDate;
+
+        const meta = {
+            id: baseId,
+            type,
+            name: details.title,
+            poster: posterUrl,
+            posterShape: 'poster',
+            background: fanartImages.background || details.background,
+            logo: fanartImages.logo || details.logo,
+            description: details.description,
+            releaseInfo,
+            released: details.released,
+            imdbRating: formatRating(rating),
+            genres: details.genres,
+            runtime: details.runtime,
+            cast: details.cast,
+            director: details.director,
+            writer: details.writer,
+            trailers: details.trailers
+        };
+
+        if (type === 'series') {
+            meta.videos = details.episodes.map(episode => ({
+                id: `${baseId}:${episode.season}:${episode.episode}`,
+                title: episode.title,
+                season: episode.season,
+                episode: episode.episode,
+                released: episode.released,
+                overview: episode.overview,
+                thumbnail: episode.thumbnail
+            }));
+        } else {
+            meta.behaviorHints = { defaultVideoId: baseId };
+        }
+
+        res.json({ meta });
+    } catch (error) {
+        log.error(`Error in /meta route: ${error.message}`);
+        return res.status(500).json({ error: "Invalid configParameters or server error." });
+    }
+});
+
+module.exports = router;
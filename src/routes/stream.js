@@ -0,0 +1,54 @@
+const express = require('express');
+const log = require('../helpers/logger');
+const { resolveConfig, CONFIG_ID_REGEX } = require('../helpers/config');
+const { createWatchedUrl } = require('../helpers/watched_links');
+
+const router = express.Router();
+
+router.get("/:configParameters?/stream/:type/:id.json", async (req, res) => {
+    const { configParameters, type, id } = req.params;
+    let config = {};
+
+    try {
+        config = await resolveConfig(configParameters);
+
+        const traktUsername = config.traktUsername;
+
+        if (config.markAsWatched && config.traktLoginRequired) {
+            const configurePath = CONFIG_ID_REGEX.test(configParameters) ? `/${configParameters}/configure` : '/configure';
+            return res.json({
+                streams: [
+                    {
+                        name: 'Trakt',
+                        title: 'Login to Trakt again to mark as watched',
+                        externalUrl: `${process.env.BASE_URL}${configurePath}`
+                    }
+                ]
+            });
+        }
+
+        // Only stored configurations keep a username proven by a live Trakt session, see resolveConfig.
+        if (!config.markAsWatched || !traktUsername || !CONFIG_ID_REGEX.test(configParameters)) {
+            return res.json({ streams: [] });
+        }
+
+        const watchedUrl = createWatchedUrl(configParameters, type, id);
+
+        log.debug(`Sending mark as watched link for ${type} ${id} and user ${traktUsername}`);
+
+        res.json({
+            streams: [
+                {
+                    name: 'Trakt',
+                    title: config.markAsWatchedText || 'Mark as watched on Trakt',
+                    externalUrl: watchedUrl
+                }
+            ]
+        });
+    } catch (error) {
+        log.error(`Error in /stream route: ${error.message}`);
+        return res.status(500).json({ error: "Invalid configParameters or server error." });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,11 @@
 const express = require('express');
-const { saveUserTokens, fetchUserWatchedMovies, fetchUserWatchedShows, fetchUserTokens } = require('../helpers/trakt');
-const { fetchUserProfile, exchangeCodeForToken, markContentAsWatched, saveUserWatchedHistory, lookupTraktId, fetchTrendingLists, fetchPopularLists, searchLists, fetchListById } = require('../api/trakt');
+const { saveUserTokens } = require('../helpers/trakt');
+const { fetchUserProfile, getAuthorizeUrl, exchangeCodeForToken, callWithUserToken, refreshUserHistory, markContentAsWatched, addToLocalHistory, addEpisodeToLocalHistory, lookupIdsByStremioId, fetchTrendingLists, fetchPopularLists, searchLists, fetchListById, fetchUserLists, fetchLikedLists } = require('../api/trakt');
+const { verifyWatchedLink } = require('../helpers/watched_links');
+const { parseStremioId } = require('../helpers/ids');
+const { createSession, getSession } = require('../helpers/sessions');
+const { CONFIG_ID_REGEX, resolveConfig } = require('../helpers/config');
+const { OAUTH_COOKIE_NAME, OAUTH_FLOW_TTL_MS, startOAuthFlow, verifyOAuthFlow, readCookie } = require('../helpers/oauth');
 const log = require('../helpers/logger');
 const router = express.Router();
 
@@ -10,8 +15,31 @@ if (!TRAKT_CLIENT_ID) {
   log.warn('Environment variables TRAKT_CLIENT_ID is not set.');
 }
 
+const oauthCookieOptions = (req) => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: req.secure || (process.env.BASE_URL || '').startsWith('https://'),
+  path: '/callback'
+});
+
+router.get('/login', (req, res) => {
+  const configId = CONFIG_ID_REGEX.test(req.query.config || '') ? req.query.config : null;
+  const { state, codeChallenge, cookie } = startOAuthFlow(configId);
+
+  res.cookie(OAUTH_COOKIE_NAME, cookie, { ...oauthCookieOptions(req), maxAge: OAUTH_FLOW_TTL_MS });
+  res.redirect(getAuthorizeUrl(state, codeChallenge));
+});
+
 router.get('/callback', async (req, res) => {
-  const code = req.query.code;
+  const { code, state } = req.query;
+  const flow = verifyOAuthFlow(state, readCookie(req, OAUTH_COOKIE_NAME));
+
+  res.clearCookie(OAUTH_COOKIE_NAME, oauthCookieOptions(req));
+
+  if (!flow) {
+    log.warn('Rejected Trakt callback: invalid, expired or missing state.');
+    return res.status(403).send('Error: This login was not started from this browser or has expired, please login to Trakt again.');
+  }
 
   if (!code) {
     log.error('Authorization code is missing.');
@@ -19,7 +47,8 @@ router.get('/callback', async (req, res) => {
   }
 
   try {
-    const { access_token, refresh_token } = await exchangeCodeForToken(code);
+    const tokens = await exchangeCodeForToken(code, flow.codeVerifier);
+    const { access_token, refresh_token } = tokens;
 
     if (!access_token || !refresh_token) {
       log.error('Received tokens are invalid or missing.');
@@ -34,32 +63,109 @@ router.get('/callback', async (req, res) => {
       return res.status(500).send('Error receiving username.');
     }
 
-    const now = new Date();
-
-    await saveUserTokens(username, access_token, refresh_token);
+    await saveUserTokens(username, tokens);
     log.info(`Successfully saved tokens and username for user ${username}.`);
 
-    const [movieHistory, showHistory] = await Promise.all([
-      fetchUserWatchedMovies(username, access_token),
-      fetchUserWatchedShows(username, access_token)
-    ]);
-
-    log.info(`Successfully fetched watched movies and shows for user ${username}.`);
+    // The first sync can take a while, and a history never fetched is fetched again by the next catalog request, so it never holds up or fails the login.
+    refreshUserHistory(username)
+      .then(() => log.info(`Successfully saved watched history for user ${username} in the database.`))
+      .catch(error => log.warn(`Could not sync the history of user ${username} after login, it will be retried: ${error.message}`));
 
-    await Promise.all([
-      saveUserWatchedHistory(username, movieHistory),
-      saveUserWatchedHistory(username, showHistory)
-    ]);
+    const session = await createSession(username);
 
-    log.info(`Successfully saved watched history for user ${username} in the database.`);
-
-    res.redirect(`/configure?username=${encodeURIComponent(username)}`);
+    const configurePath = flow.configId ? `/${flow.configId}/configure` : '/configure';
+    // The session token goes in the fragment, which browsers never send, so it stays out of server and proxy logs.
+    res.redirect(`${configurePath}?username=${encodeURIComponent(username)}#session=${session.token}`);
   } catch (error) {
     log.error(`Error during token exchange: ${error.response ? error.response.data : error.message}`);
     res.status(500).send('Error connecting to Trakt');
   }
 });
 
+const checkWatchedLink = (req, res) => {
+  const { type, id } = req.params;
+  const { config, expires, sig } = req.query;
+
+  if (!verifyWatchedLink(config, type, id, expires, sig)) {
+    log.warn(`Rejected mark as watched request for ${type} ${id}: invalid or expired link.`);
+    res.status(403).send('Error: Invalid or expired link, open the stream again from Stremio.');
+    return false;
+  }
+
+  if (type !== 'movie' && type !== 'series') {
+    res.status(400).send(`Error: Unsupported type '${type}'.`);
+    return false;
+  }
+
+  return true;
+};
+
+// Opening the link only asks for confirmation, marking is a POST so that previews and prefetches of the link never mark anything.
+router.get('/watched/:type/:id', (req, res) => {
+  if (!checkWatchedLink(req, res)) {
+    return;
+  }
+
+  res.send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Mark as watched on Trakt</title></head>
+<body>
+  <form method="POST">
+    <button type="submit">Mark as watched on Trakt</button>
+  </form>
+</body>
+</html>`);
+});
+
+router.post('/watched/:type/:id', async (req, res) => {
+  if (!checkWatchedLink(req, res)) {
+    return;
+  }
+
+  const { type, id } = req.params;
+  const { baseId, season, episode } = parseStremioId(id);
+  const isEpisode = type === 'series' && season !== null && episode !== null;
+  const watchedAt = new Date().toISOString();
+
+  let username;
+  try {
+    const config = await resolveConfig(req.query.config);
+    username = config.traktUsername;
+
+    if (!config.markAsWatched || !username) {
+      log.warn(`Rejected mark as watched request for ${type} ${id}: configuration ${req.query.config} has no Trakt session.`);
+      return res.status(403).send('Error: This configuration is no longer logged in to Trakt.');
+    }
+
+    const ids = await lookupIdsByStremioId(baseId, type);
+
+    if (!ids) {
+      return res.status(404).send(`Error: ${baseId} is unknown to Trakt.`);
+    }
+
+    await callWithUserToken(username, (accessToken) => markContentAsWatched(
+      accessToken,
+      type === 'movie' ? 'movies' : 'series',
+      ids.trakt,
+      watchedAt,
+      isEpisode ? season : null,
+      isEpisode ? episode : null
+    ));
+
+    await addToLocalHistory(username, type === 'movie' ? 'movie' : 'show', ids, watchedAt);
+
+    if (isEpisode) {
+      await addEpisodeToLocalHistory(username, ids, season, episode, watchedAt);
+    }
+
+    log.info(`Marked ${type} ${id} as watched on Trakt for user ${username}.`);
+    res.send('Marked as watched on Trakt.');
+  } catch (error) {
+    log.error(`Error marking ${type} ${id} as watched for user ${username || 'unknown'}: ${error.message}`);
+    res.status(500).send('Error marking content as watched on Trakt');
+  }
+});
+
 router.get('/lists/trending', async (req, res) => {
   const { page = 1, limit = 10 } = req.query;
 
@@ -100,6 +206,43 @@ router.get('/lists/search', async (req, res) => {
   }
 });
 
+router.get('/lists/personal', async (req, res) => {
+  const session = await getSession(req.get('X-Session-Token')).catch(() => null);
+
+  if (!session) {
+    return res.status(403).send('Error: Invalid or missing session.');
+  }
+
+  const { username } = session;
+
+  try {
+    const lists = await callWithUserToken(username, (accessToken) => fetchUserLists(accessToken));
+    res.json(lists.map(list => ({ list })));
+  } catch (error) {
+    log.error(`Error fetching personal lists for user ${username}: ${error.message}`);
+    res.status(500).send('Error fetching personal lists');
+  }
+});
+
+router.get('/lists/liked', async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+  const session = await getSession(req.get('X-Session-Token')).catch(() => null);
+
+  if (!session) {
+    return res.status(403).send('Error: Invalid or missing session.');
+  }
+
+  const { username } = session;
+
+  try {
+    const likedLists = await callWithUserToken(username, (accessToken) => fetchLikedLists(accessToken, page, limit));
+    res.json(likedLists);
+  } catch (error) {
+    log.error(`Error fetching liked lists for user ${username}: ${error.message}`);
+    res.status(500).send('Error fetching liked lists');
+  }
+});
+
 router.get('/lists/:id', async (req, res) => {
   const { id } = req.params;
 
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { stubModule, requireSource, silentLogger } = require('./helpers/stub_module');
+
+stubModule('helpers/logger', silentLogger);
+stubModule('helpers/redis', { safeRedisCall: async () => null });
+stubModule('helpers/bottleneck_trakt', { addToQueueGET: task => task.fn(), addToQueuePOST: task => task.fn() });
+stubModule('helpers/db', { pool: { query: async () => ({ rows: [] }) } });
+
+const { fetchCalendarItems } = requireSource('api/trakt');
+
+const got = { title: 'Game of Thrones', ids: { trakt: 1390, imdb: 'tt0944947' } };
+const dark = { title: 'Dark', ids: { trakt: 70523, imdb: 'tt5753856' } };
+
+// Trakt lists one entry per airing episode, not sorted across shows.
+const showCalendar = [
+    { first_aired: '2024-10-23T01:00:00.000Z', episode: { season: 2, number: 4 }, show: got },
+    { first_aired: '2024-10-22T09:00:00.000Z', episode: { season: 1, number: 1 }, show: dark },
+    { first_aired: '2024-10-21T01:00:00.000Z', episode: { season: 2, number: 3 }, show: got },
+    { first_aired: '2024-10-29T09:00:00.000Z', episode: { season: 1, number: 2 }, show: dark }
+];
+
+const mockCalendar = (t, data) => {
+    const urls = [];
+    t.mock.method(axios, 'get', async (url) => {
+        urls.push(url);
+        return { data: data.map(item => ({ ...item })) };
+    });
+    return urls;
+};
+
+test('keeps only the next airing episode of each show', async (t) => {
+    mockCalendar(t, showCalendar);
+
+    const items = await fetchCalendarItems('series', 'my', 'token');
+    assert.deepStrictEqual(items.map(item => [item.show.title, item.episode.number]), [['Game of Thrones', 3], ['Dark', 1]]);
+});
+
+test('orders movies by release date', async (t) => {
+    mockCalendar(t, [
+        { released: '2024-11-08', movie: { title: 'Red One', ids: { trakt: 2 } } },
+        { released: '2024-10-25', movie: { title: 'Venom: The Last Dance', ids: { trakt: 1 } } }
+    ]);
+
+    const items = await fetchCalendarItems('movie', 'all');
+    assert.deepStrictEqual(items.map(item => item.movie.ids.trakt), [1, 2]);
+});
+
+test('covers a week for every show airing and a month otherwise', async (t) => {
+    const urls = mockCalendar(t, []);
+    const today = new Date().toISOString().slice(0, 10);
+
+    await fetchCalendarItems('series', 'all');
+    await fetchCalendarItems('series', 'my', 'token');
+    await fetchCalendarItems('movie', 'all', null, 'horror');
+
+    assert.match(urls[0], new RegExp(`/calendars/all/shows/${today}/7\\?`));
+    assert.match(urls[1], new RegExp(`/calendars/my/shows/${today}/30\\?`));
+    assert.match(urls[2], new RegExp(`/calendars/all/movies/${today}/30\\?genres=horror$`));
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { stubModule, requireSource, silentLogger } = require('./helpers/stub_module');
+
+// Trakt returns recommendations as bare movie objects, lists wrap them in { movie }.
+const recommendations = [
+    { title: 'Alien', year: 1979, ids: { trakt: 1, imdb: 'tt0078748', tmdb: 348 } },
+    { title: 'Aliens', year: 1986, ids: { trakt: 2, imdb: 'tt0090605', tmdb: 679 } },
+    { title: 'Prometheus', year: 2012, ids: { trakt: 3, imdb: 'tt1446714', tmdb: 70981 } }
+];
+const listItems = [
+    { type: 'movie', movie: recommendations[1] },
+    { type: 'movie', movie: recommendations[2] }
+];
+const tmdbDetails = {
+    348: { title: 'Alien, le huitième passager', releaseDate: '1979', genres: ['Horreur'] },
+    679: { title: 'Aliens, le retour', releaseDate: '1986', genres: ['Action'] },
+    70981: { title: 'Prometheus', releaseDate: '2012', genres: ['Horreur'] }
+};
+
+stubModule('helpers/logger', silentLogger);
+stubModule('helpers/redis', { safeRedisCall: async () => null });
+stubModule('helpers/ratings', {
+    fetchRatings: async (medias) => medias.map(({ media }) => ({ rating: { 1: 8.5, 2: 8.4, 3: 7.0 }[media.ids.trakt] })),
+    getRatingSource: () => 'imdb'
+});
+stubModule('api/tmdb', { getMetadataByTmdbId: async (tmdbId) => tmdbDetails[tmdbId] });
+stubModule('api/trakt', {
+    fetchRecommendations: async () => recommendations,
+    fetchListItems: async () => listItems,
+    fetchWatchlistItems: async () => [],
+    fetchWatchedIds: async () => new Set(['tt0078748']),
+    callWithUserToken: async (username, fn) => fn('token')
+});
+
+const { evaluateCustomCatalog } = requireSource('helpers/custom_catalogs');
+
+const config = { traktUsername: 'john_doe', language: 'fr-FR', traktLists: [{ id: 123, privacy: 'public' }] };
+const traktIds = (items) => items.map(item => (item.movie || item).ids.trakt);
+
+test('includes bare recommendation objects', async () => {
+    const items = await evaluateCustomCatalog({ id: 'recs', type: 'movie', include: [{ source: 'recommendations' }] }, config);
+    assert.deepStrictEqual(traktIds(items), [1, 2, 3]);
+});
+
+test('intersects and excludes recommendations with wrapped list items', async () => {
+    const intersected = await evaluateCustomCatalog({ id: 'both', type: 'movie', include: [{ source: 'recommendations' }], intersect: [{ source: 'list', id: 123 }] }, config);
+    assert.deepStrictEqual(traktIds(intersected), [2, 3]);
+
+    const excluded = await evaluateCustomCatalog({ id: 'rest', type: 'movie', include: [{ source: 'list', id: 123 }], exclude: [{ source: 'recommendations' }] }, config);
+    assert.deepStrictEqual(traktIds(excluded), []);
+});
+
+test('hides watched recommendations', async () => {
+    const items = await evaluateCustomCatalog({ id: 'unwatched', type: 'movie', include: [{ source: 'recommendations' }], excludeWatched: true }, config);
+    assert.deepStrictEqual(traktIds(items), [2, 3]);
+});
+
+test('filters on translated genres and sorts like every other catalog', async () => {
+    const byRating = await evaluateCustomCatalog({ id: 'horror', type: 'movie', include: [{ source: 'recommendations' }], filters: { genre: 'horreur' }, sortBy: 'rating', sortHow: 'asc' }, config);
+    assert.deepStrictEqual(traktIds(byRating), [3, 1]);
+
+    const byTitle = await evaluateCustomCatalog({ id: 'titles', type: 'movie', include: [{ source: 'list', id: 123 }, { source: 'recommendations' }], sortBy: 'title', sortHow: 'desc' }, config);
+    assert.deepStrictEqual(traktIds(byTitle), [3, 2, 1]);
+
+    const byRank = await evaluateCustomCatalog({ id: 'ranked', type: 'movie', include: [{ source: 'list', id: 123 }, { source: 'recommendations' }], sortBy: 'rank', sortHow: 'asc' }, config);
+    assert.deepStrictEqual(traktIds(byRank), [2, 3, 1]);
+});
@@ -0,0 +1,30 @@
+const path = require('path');
+
+const SRC = path.join(__dirname, '..', '..', 'src');
+
+/**
+* Replaces a module of src/ before it is first required, so tests never reach PostgreSQL, Redis or the network.
+* @example
+* stubModule('helpers/redis', { safeRedisCall: async () => null })
+* @param {string} relativePath - The path of the module inside src/, without extension.
+* @param {Object} exports - What requiring the module returns.
+*/
+const stubModule = (relativePath, exports) => {
+    const filename = require.resolve(path.join(SRC, relativePath));
+    require.cache[filename] = { id: filename, filename, loaded: true, exports };
+};
+
+/**
+* Requires a module of src/.
+* @param {string} relativePath - The path of the module inside src/, without extension.
+* @returns {*} The exports of the module.
+*/
+const requireSource = (relativePath) => require(path.join(SRC, relativePath));
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+module.exports = {
+    stubModule,
+    requireSource,
+    silentLogger
+};
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { stubModule, requireSource, silentLogger } = require('./helpers/stub_module');
+
+let queries = [];
+let failOn = null;
+
+const client = {
+    query: async (text, params = []) => {
+        queries.push({ text, params });
+        if (failOn && text.includes(failOn)) {
+            throw new Error('Query failed');
+        }
+        return { rows: [] };
+    },
+    release() {}
+};
+
+stubModule('helpers/logger', silentLogger);
+stubModule('helpers/redis', { safeRedisCall: async () => null });
+stubModule('helpers/bottleneck_trakt', { addToQueueGET: task => task.fn(), addToQueuePOST: task => task.fn() });
+stubModule('helpers/db', { pool: { connect: async () => client, query: client.query } });
+
+const { saveUserWatchedHistory } = requireSource('api/trakt');
+
+const history = [
+    { last_watched_at: '2024-01-01T20:00:00.000Z', movie: { title: 'Fight Club', ids: { trakt: 432, imdb: 'tt0137523', tmdb: 550 } } },
+    // Titles missing from IMDb are still stored, keyed by their Trakt ID.
+    { last_watched_at: '2024-02-01T20:00:00.000Z', movie: { title: 'Not on IMDb', ids: { trakt: 1187201, imdb: null, tmdb: 1100099 } } },
+    { last_watched_at: '2023-12-01T20:00:00.000Z', movie: { title: 'Fight Club', ids: { trakt: 432, imdb: 'tt0137523', tmdb: 550 } } },
+    { last_watched_at: '2024-03-01T20:00:00.000Z', movie: { title: 'No Trakt ID', ids: { trakt: null, imdb: 'tt0000001' } } },
+    {
+        last_watched_at: '2024-04-01T20:00:00.000Z',
+        show: { title: 'Game of Thrones', ids: { trakt: 1390, imdb: 'tt0944947', tmdb: 1399 } },
+        seasons: [{ number: 1, episodes: [
+            { number: 1, plays: 2, last_watched_at: '2024-03-30T20:00:00.000Z' },
+            { number: 2, plays: 1, last_watched_at: '2024-04-01T20:00:00.000Z' }
+        ] }]
+    }
+];
+
+const findQuery = (fragment) => queries.find(query => query.text.includes(fragment));
+
+test.beforeEach(() => {
+    queries = [];
+    failOn = null;
+});
+
+test('upserts one row per title on the Trakt ID key, in one transaction', async () => {
+    await saveUserWatchedHistory('john_doe', history);
+
+    assert.strictEqual(queries[0].text, 'BEGIN');
+    assert.strictEqual(queries[queries.length - 1].text, 'COMMIT');
+
+    const titles = findQuery('INSERT INTO trakt_history');
+    assert.match(titles.text, /ON CONFLICT \(username, type, trakt_id\)/);
+    assert.match(titles.text, /imdb_id = COALESCE\(EXCLUDED\.imdb_id, trakt_history\.imdb_id\)/);
+
+    const [username, traktIds, imdbIds, tmdbIds, types, , watchedAts] = titles.params;
+    assert.strictEqual(username, 'john_doe');
+    assert.deepStrictEqual(traktIds, [432, 1187201, 1390]);
+    assert.deepStrictEqual(imdbIds, ['tt0137523', null, 'tt0944947']);
+    assert.deepStrictEqual(tmdbIds, [550, 1100099, 1399]);
+    assert.deepStrictEqual(types, ['movie', 'movie', 'show']);
+    assert.strictEqual(watchedAts[0], '2024-01-01T20:00:00.000Z');
+});
+
+test('stores every watched episode of a show', async () => {
+    await saveUserWatchedHistory('john_doe', history);
+
+    const episodes = findQuery('INSERT INTO trakt_episode_history');
+    const [, showTraktIds, , , seasons, numbers, plays] = episodes.params;
+    assert.deepStrictEqual(showTraktIds, [1390, 1390]);
+    assert.deepStrictEqual(seasons, [1, 1]);
+    assert.deepStrictEqual(numbers, [1, 2]);
+    assert.deepStrictEqual(plays, [2, 1]);
+});
+
+test('deletes rows missing from a full history only when replacing', async () => {
+    await saveUserWatchedHistory('john_doe', history);
+    assert.strictEqual(findQuery('DELETE FROM trakt_history'), undefined);
+
+    queries = [];
+    await saveUserWatchedHistory('john_doe', history, true);
+    const deletion = findQuery('DELETE FROM trakt_history');
+    assert.deepStrictEqual(deletion.params, ['john_doe', ['movie', 'movie', 'show'], [432, 1187201, 1390]]);
+});
+
+test('rolls back when a write fails', async () => {
+    failOn = 'INSERT INTO trakt_episode_history';
+
+    await assert.rejects(saveUserWatchedHistory('john_doe', history), /Query failed/);
+    assert.strictEqual(queries[queries.length - 1].text, 'ROLLBACK');
+    assert.strictEqual(findQuery('COMMIT'), undefined);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { stubModule, requireSource, silentLogger } = require('./helpers/stub_module');
+
+process.env.ADDON_SECRET = 'test-secret';
+stubModule('helpers/logger', silentLogger);
+
+const { OAUTH_FLOW_TTL_MS, startOAuthFlow, verifyOAuthFlow, readCookie } = requireSource('helpers/oauth');
+
+const configId = '0f8fad5b-d9cb-469f-a165-70867728950e';
+
+test('finishes a login started by the same browser', () => {
+    const { state, cookie } = startOAuthFlow(configId);
+    const flow = verifyOAuthFlow(state, cookie);
+
+    assert.strictEqual(flow.configId, configId);
+    assert.ok(flow.codeVerifier.length >= 43);
+});
+
+test('sends the S256 challenge of the PKCE verifier', () => {
+    const { state, codeChallenge, cookie } = startOAuthFlow();
+    const { codeVerifier, configId: storedConfigId } = verifyOAuthFlow(state, cookie);
+
+    assert.strictEqual(codeChallenge, crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+    assert.strictEqual(storedConfigId, null);
+});
+
+test('refuses a state from another browser', () => {
+    const mine = startOAuthFlow(configId);
+    const theirs = startOAuthFlow(configId);
+
+    assert.strictEqual(verifyOAuthFlow(theirs.state, mine.cookie), null);
+    assert.strictEqual(verifyOAuthFlow(mine.state, undefined), null);
+    assert.strictEqual(verifyOAuthFlow(undefined, mine.cookie), null);
+});
+
+test('refuses forged states and cookies', () => {
+    const { state, cookie } = startOAuthFlow(configId);
+    const [nonce] = state.split('.');
+    const [payload, signature] = cookie.split('.');
+
+    assert.strictEqual(verifyOAuthFlow(`${nonce}.forged`, cookie), null);
+    assert.strictEqual(verifyOAuthFlow(nonce, cookie), null);
+
+    const flow = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const forgedPayload = Buffer.from(JSON.stringify({ ...flow, configId: 'someone-else' })).toString('base64url');
+    assert.strictEqual(verifyOAuthFlow(state, `${forgedPayload}.${signature}`), null);
+});
+
+test('refuses a login that took longer than the flow lifetime', (t) => {
+    const { state, cookie } = startOAuthFlow(configId);
+    const now = Date.now();
+
+    t.mock.method(Date, 'now', () => now + OAUTH_FLOW_TTL_MS - 1000);
+    assert.ok(verifyOAuthFlow(state, cookie));
+
+    Date.now.mock.mockImplementation(() => now + OAUTH_FLOW_TTL_MS + 1000);
+    assert.strictEqual(verifyOAuthFlow(state, cookie), null);
+});
+
+test('reads the flow cookie among the other cookies of the request', () => {
+    const req = { headers: { cookie: 'theme=dark; trakt_oauth=abc%2Edef; lang=fr' } };
+
+    assert.strictEqual(readCookie(req, 'trakt_oauth'), 'abc.def');
+    assert.strictEqual(readCookie(req, 'missing'), null);
+    assert.strictEqual(readCookie({ headers: {} }, 'trakt_oauth'), null);
+});
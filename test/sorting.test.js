@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { requireSource } = require('./helpers/stub_module');
+
+const { SORT_EXTRA_OPTIONS, parseSortBy, sortEntries } = requireSource('helpers/sorting');
+
+const items = [
+    { rank: 3, listed_at: '2024-03-01T00:00:00.000Z', movie: { title: 'Prometheus', year: 2012, runtime: 124, ids: { trakt: 3 } } },
+    { rank: 1, listed_at: '2024-01-01T00:00:00.000Z', movie: { title: 'alien', year: 1979, runtime: 117, ids: { trakt: 1 } } },
+    { rank: 2, listed_at: '2024-02-01T00:00:00.000Z', movie: { title: 'Aliens', year: 1986, runtime: 137, ids: { trakt: 2 } } },
+    { listed_at: '2024-02-01T00:00:00.000Z', movie: { title: 'Alien 3', year: 1992, ids: { trakt: 4 } } }
+];
+const entries = items.map((item, index) => ({ item, index, rating: [7.0, 8.5, 8.4, 6.4][index] }));
+const traktIds = (sorted) => sorted.map(entry => entry.item.movie.ids.trakt);
+
+test('parses the sortBy extra of a catalog', () => {
+    assert.deepStrictEqual(parseSortBy('rating_desc'), { sortBy: 'rating', sortHow: 'desc' });
+    assert.deepStrictEqual(parseSortBy('title_asc'), { sortBy: 'title', sortHow: 'asc' });
+    assert.deepStrictEqual(parseSortBy('random'), { sortBy: 'random', sortHow: 'asc' });
+    assert.deepStrictEqual(parseSortBy('listed_at_desc'), { sortBy: 'added', sortHow: 'desc' });
+
+    assert.strictEqual(parseSortBy('rating'), null);
+    assert.strictEqual(parseSortBy('rating_up'), null);
+    assert.strictEqual(parseSortBy('votes_desc'), null);
+    assert.ok(SORT_EXTRA_OPTIONS.every(option => parseSortBy(option)));
+});
+
+test('sorts on every field in both directions', () => {
+    assert.deepStrictEqual(traktIds(sortEntries(entries, 'rating', 'desc')), [1, 2, 3, 4]);
+    assert.deepStrictEqual(traktIds(sortEntries(entries, 'title', 'asc')), [1, 4, 2, 3]);
+    assert.deepStrictEqual(traktIds(sortEntries(entries, 'year', 'desc')), [3, 4, 2, 1]);
+    assert.deepStrictEqual(traktIds(sortEntries(entries, 'runtime', 'asc')), [4, 1, 3, 2]);
+});
+
+test('keeps the source order on ties, whatever the direction', () => {
+    assert.deepStrictEqual(traktIds(sortEntries(entries, 'added', 'asc')), [1, 2, 4, 3]);
+    assert.deepStrictEqual(traktIds(sortEntries(entries, 'added', 'desc')), [3, 2, 4, 1]);
+});
+
+test('ranks items without a rank by their position in the source', () => {
+    assert.deepStrictEqual(traktIds(sortEntries(entries, 'rank', 'asc')), [1, 2, 3, 4]);
+});
+
+test('shuffles in the same order for the same seed', () => {
+    const first = traktIds(sortEntries(entries, 'random', 'desc', 'john_doe:2024-05-01'));
+
+    assert.deepStrictEqual(traktIds(sortEntries([...entries].reverse(), 'random', 'asc', 'john_doe:2024-05-01')), first);
+    assert.deepStrictEqual([...first].sort(), [1, 2, 3, 4]);
+
+    const orders = new Set(['a', 'b', 'c', 'd', 'e', 'f'].map(seed => traktIds(sortEntries(entries, 'random', 'asc', seed)).join()));
+    assert.ok(orders.size > 1);
+});
+
+test('does not sort the entries in place', () => {
+    const copy = [...entries];
+    sortEntries(entries, 'title', 'desc');
+    assert.deepStrictEqual(entries, copy);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { stubModule, requireSource, silentLogger } = require('./helpers/stub_module');
+
+stubModule('helpers/logger', silentLogger);
+stubModule('helpers/redis', { safeRedisCall: async () => null });
+stubModule('helpers/bottleneck_tmdb', task => task.fn());
+
+const { getMetadataByTmdbId } = requireSource('api/tmdb');
+
+const translation = (iso6391, iso31661, data) => ({ iso_639_1: iso6391, iso_3166_1: iso31661, data });
+
+const movie = (translations) => ({
+    title: 'City of God',
+    original_title: 'Cidade de Deus',
+    overview: 'Two boys growing up in a violent neighborhood.',
+    release_date: '2002-08-30',
+    translations: { translations }
+});
+
+const fetchTitle = async (t, data, language, fallbackLanguages) => {
+    t.mock.method(axios, 'get', async () => ({ data }));
+    return getMetadataByTmdbId(598, 'movie', 'key', language, fallbackLanguages);
+};
+
+test('picks the title of the user language first', async (t) => {
+    const result = await fetchTitle(t, movie([
+        translation('en', 'US', { title: 'City of God' }),
+        translation('pt', 'PT', { title: 'Cidade de Deus (PT)' }),
+        translation('pt', 'BR', { title: 'Cidade de Deus (BR)', overview: 'Dois garotos...' })
+    ]), 'pt-BR', ['pt-PT', 'en']);
+
+    assert.strictEqual(result.title, 'Cidade de Deus (BR)');
+    assert.strictEqual(result.description, 'Dois garotos...');
+    assert.strictEqual(result.originalTitle, 'Cidade de Deus');
+});
+
+test('follows the fallback languages in order, a region only matching itself', async (t) => {
+    const result = await fetchTitle(t, movie([
+        translation('en', 'US', { title: 'City of God' }),
+        translation('pt', 'PT', { title: 'Cidade de Deus (PT)' })
+    ]), 'pt-BR', ['pt-PT', 'en']);
+
+    assert.strictEqual(result.title, 'Cidade de Deus (PT)');
+    assert.strictEqual(result.description, 'Two boys growing up in a violent neighborhood.');
+
+    const anyRegion = await fetchTitle(t, movie([
+        translation('en', 'US', { title: 'City of God' }),
+        translation('pt', 'PT', { title: 'Cidade de Deus (PT)' })
+    ]), 'pt', []);
+    assert.strictEqual(anyRegion.title, 'Cidade de Deus (PT)');
+});
+
+test('falls back to the English title before the original title', async (t) => {
+    const result = await fetchTitle(t, movie([
+        translation('en', 'US', { title: 'City of God' }),
+        translation('fr', 'FR', { title: '' })
+    ]), 'ja-JP', []);
+
+    assert.strictEqual(result.title, 'City of God');
+});
+
+test('falls back to the original title last', async (t) => {
+    const result = await fetchTitle(t, movie([]), 'ja-JP', ['fr-FR']);
+    assert.strictEqual(result.title, 'Cidade de Deus');
+
+    const show = await fetchTitle(t, { name: 'The Rain', original_name: 'Regnen', translations: { translations: [] } }, 'fr-FR', []);
+    assert.strictEqual(show.title, 'Regnen');
+    assert.strictEqual(show.originalTitle, 'Regnen');
+
+    const translatedShow = await fetchTitle(t, { name: 'The Rain', original_name: 'Regnen', translations: { translations: [translation('fr', 'FR', { name: 'La Pluie' })] } }, 'fr-FR', []);
+    assert.strictEqual(translatedShow.title, 'La Pluie');
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const path = require('path');
+const { stubModule, requireSource, silentLogger } = require('./helpers/stub_module');
+
+stubModule('helpers/logger', silentLogger);
+
+const oldKey = `2023-01:${crypto.randomBytes(32).toString('base64')}`;
+const newKey = `2024-10:${crypto.randomBytes(32).toString('base64')}`;
+
+// The keys are read once, when the module is first required.
+const loadWithKeys = (keys) => {
+    process.env.TOKEN_ENCRYPTION_KEYS = keys;
+    delete require.cache[require.resolve(path.join(__dirname, '..', 'src', 'helpers', 'token_encryption'))];
+    return requireSource('helpers/token_encryption');
+};
+
+test('encrypts tokens with the active key and decrypts them back', () => {
+    const { encryptToken, decryptToken } = loadWithKeys(newKey);
+
+    const stored = encryptToken('abcdef123456');
+    assert.match(stored, /^enc:v1:2024-10:/);
+    assert.ok(!stored.includes('abcdef123456'));
+    assert.notStrictEqual(encryptToken('abcdef123456'), stored);
+    assert.strictEqual(decryptToken(stored), 'abcdef123456');
+});
+
+test('returns tokens stored before encryption was enabled as they are', () => {
+    const { encryptToken, decryptToken } = loadWithKeys(newKey);
+    assert.strictEqual(decryptToken('abcdef123456'), 'abcdef123456');
+    assert.strictEqual(encryptToken(null), null);
+
+    const plaintext = loadWithKeys('');
+    assert.strictEqual(plaintext.ACTIVE_KEY_ID, null);
+    assert.strictEqual(plaintext.encryptToken('abcdef123456'), 'abcdef123456');
+});
+
+test('decrypts tokens of a retired key and rotates them to the active key', () => {
+    const stored = loadWithKeys(oldKey).encryptToken('abcdef123456');
+
+    const { decryptToken, rotateToken } = loadWithKeys(`${newKey},${oldKey}`);
+    assert.strictEqual(decryptToken(stored), 'abcdef123456');
+
+    const rotated = rotateToken(stored);
+    assert.match(rotated, /^enc:v1:2024-10:/);
+    assert.strictEqual(rotated.split(':').pop(), stored.split(':').pop());
+    assert.strictEqual(decryptToken(rotated), 'abcdef123456');
+    assert.strictEqual(rotateToken(rotated), null);
+    assert.match(rotateToken('abcdef123456'), /^enc:v1:2024-10:/);
+});
+
+test('refuses tampered tokens and tokens of an unknown key', () => {
+    const stored = loadWithKeys(oldKey).encryptToken('abcdef123456');
+    const { decryptToken } = loadWithKeys(newKey);
+    assert.throws(() => decryptToken(stored), /unknown key '2023-01'/);
+
+    const token = loadWithKeys(newKey).encryptToken('abcdef123456');
+    const sealed = Buffer.from(token.split(':').pop(), 'base64url');
+    sealed[sealed.length - 1] ^= 1;
+    const tampered = [...token.split(':').slice(0, -1), sealed.toString('base64url')].join(':');
+    assert.throws(() => decryptToken(tampered));
+});
+
+test('rejects malformed keys', () => {
+    assert.throws(() => loadWithKeys('2024-10:c2hvcnQ='), /Invalid entry in TOKEN_ENCRYPTION_KEYS/);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { stubModule, requireSource, silentLogger } = require('./helpers/stub_module');
+
+process.env.ADDON_SECRET = 'test-secret';
+process.env.BASE_URL = 'https://addon.example';
+stubModule('helpers/logger', silentLogger);
+
+const { createWatchedUrl, verifyWatchedLink } = requireSource('helpers/watched_links');
+
+const configId = '0f8fad5b-d9cb-469f-a165-70867728950e';
+
+const parseLink = (url) => {
+    const { pathname, searchParams } = new URL(url);
+    const [, , type, id] = pathname.split('/');
+    return { type, id: decodeURIComponent(id), config: searchParams.get('config'), expires: searchParams.get('expires'), sig: searchParams.get('sig') };
+};
+
+test('accepts the links it generated', () => {
+    const link = parseLink(createWatchedUrl(configId, 'series', 'tt0944947:1:2'));
+
+    assert.strictEqual(link.type, 'series');
+    assert.strictEqual(link.id, 'tt0944947:1:2');
+    assert.strictEqual(link.config, configId);
+    assert.strictEqual(verifyWatchedLink(link.config, link.type, link.id, link.expires, link.sig), true);
+});
+
+test('refuses a link used for another configuration or title', () => {
+    const link = parseLink(createWatchedUrl(configId, 'movie', 'tt0137523'));
+
+    assert.strictEqual(verifyWatchedLink('6ba7b810-9dad-11d1-80b4-00c04fd430c8', 'movie', 'tt0137523', link.expires, link.sig), false);
+    assert.strictEqual(verifyWatchedLink(configId, 'movie', 'tt0068646', link.expires, link.sig), false);
+    assert.strictEqual(verifyWatchedLink(configId, 'series', 'tt0137523', link.expires, link.sig), false);
+    assert.strictEqual(verifyWatchedLink(undefined, 'movie', 'tt0137523', link.expires, link.sig), false);
+});
+
+test('refuses tampered and expired links', (t) => {
+    const link = parseLink(createWatchedUrl(configId, 'movie', 'tt0137523'));
+    const tampered = `${link.sig.slice(0, -1)}${link.sig.endsWith('0') ? '1' : '0'}`;
+
+    assert.strictEqual(verifyWatchedLink(configId, 'movie', 'tt0137523', link.expires, tampered), false);
+    assert.strictEqual(verifyWatchedLink(configId, 'movie', 'tt0137523', String(Number(link.expires) + 1000), link.sig), false);
+    assert.strictEqual(verifyWatchedLink(configId, 'movie', 'tt0137523', link.expires, undefined), false);
+
+    t.mock.method(Date, 'now', () => Number(link.expires) + 1);
+    assert.strictEqual(verifyWatchedLink(configId, 'movie', 'tt0137523', link.expires, link.sig), false);
+});